@@ -44,8 +44,10 @@ debugApp('Helmet configured');
 //CORS
 app.use(cors({
   origin: config.corsOrigin,
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Upload-Offset'],
+  // Resumable upload clients read these
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length'],
   credentials: true
 }));
 debugApp('CORS configured');
@@ -107,6 +109,15 @@ app.get('/', (req, res) => {
       health: '/health',
       merge: '/api/pdf/merge',
       split: '/api/pdf/split',
+      rotate: '/api/pdf/rotate',
+      organize: '/api/pdf/organize',
+      watermark: '/api/pdf/watermark',
+      bates: '/api/pdf/bates',
+      optimize: '/api/pdf/optimize',
+      imagesToPdf: '/api/pdf/images-to-pdf',
+      fillForm: '/api/pdf/forms/fill',
+      impose: '/api/pdf/impose',
+      resize: '/api/pdf/resize',
       upload: '/api/pdf/upload'
     }
   });
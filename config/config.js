@@ -21,9 +21,14 @@ export const config = {
   
   // File Upload
   maxFileSize: process.env.MAX_FILE_SIZE || '50MB',
+  // Chunk size of resumable uploads
+  uploadChunkSize: process.env.UPLOAD_CHUNK_SIZE || '5MB',
   uploadPath: process.env.UPLOAD_PATH || './uploads',
   processedPath: process.env.PROCESSED_PATH || './processed',
   
+  // Written as Producer/Creator of generated documents
+  pdfProducer: process.env.PDF_PRODUCER || 'PDF Merger & Splitter',
+  
   // Security
   jwtSecret: process.env.JWT_SECRET || 'fallback-secret-key',
   corsOrigin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -34,7 +39,25 @@ export const config = {
   
   // Cleanup
   fileCleanupInterval: parseInt(process.env.FILE_CLEANUP_INTERVAL) || 24,
-  tempFileLifetime: parseInt(process.env.TEMP_FILE_LIFETIME) || 2
+  tempFileLifetime: parseInt(process.env.TEMP_FILE_LIFETIME) || 2,
+
+  // Job queue (intervals in milliseconds, lease in seconds)
+  runJobWorker: process.env.RUN_JOB_WORKER !== 'false',
+  jobConcurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  jobPollInterval: parseInt(process.env.JOB_POLL_INTERVAL) || 2000,
+  jobLeaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS) || 60,
+  jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  jobRetryDelay: parseInt(process.env.JOB_RETRY_DELAY) || 5000,
+
+  // Completion webhooks (callbackUrl); retry delay in milliseconds
+  webhookSecret: process.env.WEBHOOK_SECRET,
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  webhookRetryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 10000,
+  // Hosts deliveries may reach although they resolve to private or loopback addresses
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean)
 };
 
 // Validation
@@ -1,57 +1,71 @@
 import { v4 as uuidv4 } from 'uuid';
 import { PdfOperation } from '../models/PdfOperation.js';
-import { mergePdfFiles, splitPdfFile } from '../services/pdfService.js';
+import { StoredDocument } from '../models/StoredDocument.js';
+import { getPdfFormFields, getPdfMetadata } from '../services/pdfService.js';
+import { queueOperation, cancelOperation } from '../services/jobQueueService.js';
+import { storeDocuments, findStoredDocuments, toDocumentSummary } from '../services/documentService.js';
+import {
+  createUploadSession,
+  findUploadSession,
+  getChunkLength,
+  writeChunk,
+  verifyUpload,
+  moveToUploads,
+  removeUploadSession,
+  toUploadStatus
+} from '../services/uploadSessionService.js';
+import { UploadSession } from '../models/UploadSession.js';
+import { decryptUploadedFiles } from '../middlewares/uploadMiddleware.js';
+import { PdfEncryptionError } from '../services/encryptionService.js';
+import { createZipArchive, sanitizeEntryName, uniqueEntryNames } from '../services/zipService.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { AppError } from '../utils/appError.js';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
+import { toOperationStatus, FINAL_STATUSES } from '../services/statusService.js';
+import { removeRecordedFiles } from '../utils/fileCleanup.js';
 import { debugPdfController } from '../utils/debugLogger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Upload files handler
+// Status event streams check the operation record this often (ms), and send
+// a keep-alive comment after this long without events
+const STATUS_EVENT_INTERVAL = 1000;
+const STATUS_EVENT_KEEPALIVE = 15000;
+
+// Response message of each operation type once it is queued
+const OPERATION_STARTED_MESSAGES = {
+  merge: 'Merge operation started',
+  split: 'Split operation started',
+  rotate: 'Rotate operation started',
+  organize: 'Organize operation started',
+  watermark: 'Watermark operation started',
+  bates: 'Bates numbering operation started',
+  resize: 'Resize operation started',
+  impose: 'Impose operation started',
+  fill: 'Form fill operation started',
+  metadata: 'Metadata edit operation started',
+  'images-to-pdf': 'Image conversion started',
+  optimize: 'Optimize operation started'
+};
+
+// Upload files handler. Each file becomes a stored document that operations
+// can reference by its documentId.
 export const uploadFiles = asyncHandler(async (req, res) => {
   if (!req.files || req.files.length === 0) {
     throw new AppError('No files uploaded', 400);
   }
 
-  const operationId = uuidv4();
-  const inputFiles = req.files.map(file => ({
-    originalName: file.originalname,
-    filename: file.filename,
-    path: file.path,
-    size: file.size,
-    mimetype: file.mimetype
-  }));
-
-  const operation = new PdfOperation({
-    operationId,
-    operationType: 'upload',
-    status: 'completed',
-    inputFiles,
-    clientInfo: {
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
-    }
-  });
-
-  await operation.save();
+  const { operationId, documents } = await storeUploadedFiles(req, req.files);
 
   res.status(200).json({
     success: true,
     message: 'Files uploaded successfully',
-    data: {
-      operationId,
-      files: inputFiles.map(file => ({
-        originalName: file.originalName,
-        filename: file.filename,
-        size: file.size,
-        previewUrl: `/api/pdf/preview/${file.filename}`,
-        downloadUrl: `/api/pdf/download/${file.filename}`
-      }))
-    }
+    data: toUploadData(operationId, documents)
   });
 });
 
@@ -59,50 +73,67 @@ export const uploadFiles = asyncHandler(async (req, res) => {
 export const mergePdfs = asyncHandler(async (req, res) => {
     
   if (!req.files || req.files.length < 2) {
-    throw new AppError('At least 2 PDF files are required for merging', 400);
+    throw new AppError('At least 2 files are required for merging', 400);
   }
 
-  const operationId = uuidv4();
-  const { mergeOrder = [] } = req.body;
+  const {
+    mergeOrder = [],
+    pageRanges = [],
+    bookmarkLabels = [],
+    watermark,
+    bates,
+    metadata,
+    imageOptions,
+    normalize,
+    coverPage,
+    separatorPages = false,
+    startOnOddPage = false,
+    bookmarks = true,
+    nestBookmarks = true,
+    optimize = false
+  } = req.body;
   
+  // Page selections and bookmark labels are indexed by upload position, like mergeOrder
   const inputFiles = req.files.map((file, index) => ({
-    originalName: file.originalname,
-    filename: file.filename,
-    path: file.path,
-    size: file.size,
-    mimetype: file.mimetype,
-    order: mergeOrder[index] || index
+    ...toInputFile(file),
+    pages: pageRanges[index] || '',
+    bookmarkTitle: bookmarkLabels[index] || ''
   }));
 
-  // Create operation record
-  const operation = new PdfOperation({
-    operationId,
-    operationType: 'merge',
-    status: 'pending',
-    inputFiles: inputFiles.map(({ order, ...file }) => file),
-    metadata: {
-      mergeOrder: mergeOrder.length > 0 ? mergeOrder : inputFiles.map((_, i) => i)
+  await enqueueOperation(req, res, 'merge', {
+    mergeOrder: mergeOrder.length > 0 ? mergeOrder : inputFiles.map((_, i) => i),
+    pageRanges: inputFiles.map(file => file.pages),
+    ...(watermark && { watermark }),
+    ...(bates && { bates }),
+    ...(metadata && { documentInfo: metadata }),
+    ...(imageOptions && { imageOptions }),
+    ...(normalize && { pageSizeOptions: normalize }),
+    pageInsertion: {
+      coverPage: Boolean(coverPage),
+      ...(coverPage && { coverTitle: coverPage.title, coverDate: coverPage.date }),
+      separatorPages,
+      startOnOddPage
     },
-    clientInfo: {
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+    bookmarkOptions: {
+      enabled: bookmarks,
+      nested: nestBookmarks,
+      labels: inputFiles.map(file => file.bookmarkTitle)
     }
-  });
-
-  await operation.save();
-
-  // Start processing in background
-  processMergeOperation(operation, inputFiles, mergeOrder);
-
-  res.status(202).json({
-    success: true,
-    message: 'Merge operation started',
-    data: {
-      operationId,
-      status: 'processing',
-      statusUrl: `/api/pdf/status/${operationId}`,
-      previewUrl: `/api/pdf/preview-operation/${operationId}`,
-      downloadUrl: `/api/pdf/download-operation/${operationId}`
+  }, {
+    inputFiles,
+    mergeOrder,
+    options: {
+      watermark,
+      bates,
+      metadata,
+      imageOptions,
+      normalize,
+      coverPage,
+      separatorPages,
+      startOnOddPage,
+      bookmarks,
+      nestBookmarks,
+      optimize
     }
   });
 });
@@ -113,59 +144,201 @@ export const splitPdf = asyncHandler(async (req, res) => {
     throw new AppError('Exactly one PDF file is required for splitting', 400);
   }
 
-  const operationId = uuidv4();
   const { 
     splitType = 'pages', 
     pageRanges = [], 
-    pagesPerFile = 1 
+    pagesPerFile = 1,
+    bookmarkDepth = 1,
+    maxBytes,
+    optimize = false
   } = req.body;
 
-  const inputFile = req.files[0];
-  const inputFiles = [{
-    originalName: inputFile.originalname,
-    filename: inputFile.filename,
-    path: inputFile.path,
-    size: inputFile.size,
-    mimetype: inputFile.mimetype
-  }];
+  await enqueueOperation(req, res, 'split', {
+    splitOptions: {
+      splitType,
+      pageRanges: Array.isArray(pageRanges) ? pageRanges : [pageRanges].filter(Boolean),
+      pagesPerFile: parseInt(pagesPerFile) || 1,
+      ...(splitType === 'bookmarks' && { bookmarkDepth }),
+      ...(splitType === 'bytes' && { maxBytes }),
+      optimize
+    }
+  }, {
+    options: {
+      splitType,
+      pageRanges,
+      pagesPerFile,
+      bookmarkDepth,
+      maxBytes,
+      optimize
+    }
+  });
+});
 
-  // Create operation record
-  const operation = new PdfOperation({
-    operationId,
-    operationType: 'split',
-    status: 'pending',
-    inputFiles,
-    metadata: {
-      splitOptions: {
-        splitType,
-        pageRanges: Array.isArray(pageRanges) ? pageRanges : [pageRanges].filter(Boolean),
-        pagesPerFile: parseInt(pagesPerFile) || 1
-      }
-    },
-    clientInfo: {
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+// Rotate PDF pages handler
+export const rotatePdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for rotation', 400);
+  }
+
+  const { rotations = {} } = req.body;
+
+  await enqueueOperation(req, res, 'rotate', {
+    rotations: Object.entries(rotations).map(([pages, angle]) => ({ pages, angle }))
+  }, { rotations });
+});
+
+// Organize PDF pages handler
+export const organizePdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for organizing', 400);
+  }
+
+  const { pageOrder = '', removePages = '' } = req.body;
+
+  await enqueueOperation(req, res, 'organize', {
+    organizeOptions: { pageOrder, removePages }
+  }, { options: { pageOrder, removePages } });
+});
+
+// Watermark PDF handler
+export const watermarkPdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for watermarking', 400);
+  }
+
+  const watermark = req.body;
+
+  await enqueueOperation(req, res, 'watermark', { watermark }, { watermark });
+});
+
+// Bates numbering handler
+export const batesNumberPdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for Bates numbering', 400);
+  }
+
+  const bates = req.body;
+
+  await enqueueOperation(req, res, 'bates', { bates }, { bates });
+});
+
+// Get metadata of an uploaded file, or of a stored file referenced by
+// ?documentId= or ?filename=
+export const getMetadata = asyncHandler(async (req, res) => {
+  const { filePath, originalName } = await findFileToRead(req, 'reading metadata');
+
+  let metadata;
+  try {
+    metadata = await getPdfMetadata(filePath);
+  } catch (error) {
+    throw new AppError(error.message, 422);
+  } finally {
+    // The upload is only read; stored documents (with a documentId) are kept
+    await removeRecordedFiles(req.files || []);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      filename: originalName,
+      ...metadata
     }
   });
+});
 
-  await operation.save();
+// Resize PDF pages handler
+export const resizePdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for resizing', 400);
+  }
 
-  // Start processing in background
-  processSplitOperation(operation, inputFile, { splitType, pageRanges, pagesPerFile });
+  const pageSizeOptions = req.body;
 
-  res.status(202).json({
+  await enqueueOperation(req, res, 'resize', { pageSizeOptions }, { options: pageSizeOptions });
+});
+
+// Impose (n-up or booklet) PDF handler
+export const imposePdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for imposition', 400);
+  }
+
+  const imposeOptions = req.body;
+
+  await enqueueOperation(req, res, 'impose', { imposeOptions }, { options: imposeOptions });
+});
+
+// List form fields of a stored or uploaded PDF
+export const getFormFields = asyncHandler(async (req, res) => {
+  const { filePath, originalName } = await findFileToRead(req, 'reading form fields');
+
+  let fields;
+  try {
+    fields = await getPdfFormFields(filePath);
+  } catch (error) {
+    throw new AppError(error.message, 422);
+  } finally {
+    // The upload is only read; stored documents (with a documentId) are kept
+    await removeRecordedFiles(req.files || []);
+  }
+
+  res.json({
     success: true,
-    message: 'Split operation started',
     data: {
-      operationId,
-      status: 'processing',
-      statusUrl: `/api/pdf/status/${operationId}`,
-      previewUrl: `/api/pdf/preview-operation/${operationId}`,
-      downloadUrl: `/api/pdf/download-operation/${operationId}`
+      filename: originalName,
+      fieldCount: fields.length,
+      fields
     }
   });
 });
 
+// Fill (and optionally flatten) form fields handler
+export const fillForm = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for filling a form', 400);
+  }
+
+  const { fields, flatten = false } = req.body;
+
+  await enqueueOperation(req, res, 'fill', {
+    formFill: {
+      fieldNames: Object.keys(fields),
+      flatten
+    }
+  }, { options: { fields, flatten } });
+});
+
+// Edit or strip PDF metadata handler
+export const editMetadata = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for editing metadata', 400);
+  }
+
+  const documentInfo = req.body;
+
+  await enqueueOperation(req, res, 'metadata', { documentInfo }, { documentInfo });
+});
+
+// Images to PDF handler
+export const imagesToPdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw new AppError('At least one image is required', 400);
+  }
+
+  const imageOptions = req.body;
+
+  await enqueueOperation(req, res, 'images-to-pdf', { imageOptions }, { imageOptions });
+});
+
+// Optimize PDF handler
+export const optimizePdf = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length !== 1) {
+    throw new AppError('Exactly one PDF file is required for optimizing', 400);
+  }
+
+  await enqueueOperation(req, res, 'optimize');
+});
+
 // Get operation status
 export const getOperationStatus = asyncHandler(async (req, res) => {
   const { operationId } = req.params;
@@ -175,40 +348,390 @@ export const getOperationStatus = asyncHandler(async (req, res) => {
     throw new AppError('Operation not found', 404);
   }
 
-  const response = {
+  res.json({
     success: true,
+    data: toOperationStatus(operation)
+  });
+});
+
+// Stream the status of an operation as Server-Sent Events: a `progress` event
+// whenever it changes, then a `completed`, `failed` or `cancelled` event with the
+// final status, after which the stream ends. Every event carries the same data
+// as GET /status/:operationId. The record is checked every STATUS_EVENT_INTERVAL,
+// so this works whichever process runs the job.
+export const streamOperationStatus = asyncHandler(async (req, res) => {
+  const { operationId } = req.params;
+
+  let operation = await PdfOperation.findByOperationId(operationId);
+  if (!operation) {
+    throw new AppError('Operation not found', 404);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // The compression middleware holds data back until flushed
+    res.flush?.();
+  };
+
+  let lastData = '';
+  let lastWriteAt = Date.now();
+  let checking = false;
+  let timer;
+
+  // Send what changed; returns false once the stream has ended
+  const sendStatus = () => {
+    if (!operation) {
+      // Deleted while streaming
+      res.end();
+      return false;
+    }
+
+    const data = JSON.stringify(toOperationStatus(operation));
+
+    if (FINAL_STATUSES.includes(operation.status)) {
+      write(`event: ${operation.status}\ndata: ${data}\n\n`);
+      res.end();
+      return false;
+    }
+
+    if (data !== lastData) {
+      write(`event: progress\ndata: ${data}\n\n`);
+      lastData = data;
+      lastWriteAt = Date.now();
+    } else if (Date.now() - lastWriteAt >= STATUS_EVENT_KEEPALIVE) {
+      // Comment line that keeps idle connections open through proxies
+      write(': keep-alive\n\n');
+      lastWriteAt = Date.now();
+    }
+    return true;
+  };
+
+  if (!sendStatus()) return;
+
+  timer = setInterval(async () => {
+    if (checking) return;
+    checking = true;
+
+    try {
+      operation = await PdfOperation.findByOperationId(operationId);
+      if (!sendStatus()) clearInterval(timer);
+    } catch (error) {
+      debugPdfController('Status stream check failed:', error);
+    } finally {
+      checking = false;
+    }
+  }, STATUS_EVENT_INTERVAL);
+
+  req.on('close', () => clearInterval(timer));
+});
+
+// Cancel a pending or running operation, or delete a finished one with its files.
+// Running operations stop at their next page or file; their worker removes the files.
+export const deleteOperation = asyncHandler(async (req, res) => {
+  const { operationId } = req.params;
+
+  let operation = await PdfOperation.findByOperationId(operationId);
+  if (!operation) {
+    throw new AppError('Operation not found', 404);
+  }
+
+  if (['pending', 'processing'].includes(operation.status)) {
+    const result = await cancelOperation(operation);
+
+    if (result === 'cancelled') {
+      return res.json({
+        success: true,
+        message: 'Operation cancelled',
+        data: {
+          operationId,
+          status: 'cancelled',
+          statusUrl: `/api/pdf/status/${operationId}`
+        }
+      });
+    }
+
+    if (result === 'cancelling') {
+      return res.status(202).json({
+        success: true,
+        message: 'Cancellation requested',
+        data: {
+          operationId,
+          status: 'processing',
+          cancelRequested: true,
+          statusUrl: `/api/pdf/status/${operationId}`
+        }
+      });
+    }
+
+    // Finished in the meantime
+    operation = await PdfOperation.findByOperationId(operationId);
+  }
+
+  // An upload operation goes together with the documents it stored; the
+  // documents other operations merely used are kept
+  const documents = operation.operationType === 'upload'
+    ? await StoredDocument.find({ operationId })
+    : [];
+  if (await isDocumentInUse(documents.map(document => document.documentId))) {
+    throw new AppError('A document of this upload is used by an operation that has not finished', 409);
+  }
+
+  const filesRemoved = await removeRecordedFiles([
+    ...operation.inputFiles,
+    ...operation.outputFiles,
+    ...documents.map(document => ({ path: document.path }))
+  ]);
+  if (documents.length > 0) {
+    await StoredDocument.deleteMany({ operationId });
+  }
+  await operation.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Operation deleted',
     data: {
-      operationId: operation.operationId,
-      operationType: operation.operationType,
-      status: operation.status,
-      createdAt: operation.createdAt,
-      inputFiles: operation.inputFiles.map(file => ({
-        originalName: file.originalName,
-        size: file.size,
-        previewUrl: `/api/pdf/preview/${file.filename}`,
-        downloadUrl: `/api/pdf/download/${file.filename}`
-      }))
+      operationId,
+      filesRemoved,
+      documentsRemoved: documents.length
     }
+  });
+});
+
+// Whether a queued or running operation uses one of the stored documents
+async function isDocumentInUse(documentIds) {
+  if (documentIds.length === 0) return false;
+
+  return Boolean(await PdfOperation.exists({
+    status: { $in: ['pending', 'processing'] },
+    'inputFiles.documentId': { $in: documentIds }
+  }));
+}
+
+// Get a stored document
+export const getDocument = asyncHandler(async (req, res) => {
+  const { documents: [document] } = await findStoredDocuments([req.params.documentId]);
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: toDocumentSummary(document)
+  });
+});
+
+// Download the file of a stored document
+export const downloadDocument = asyncHandler(async (req, res) => {
+  const { documents: [document] } = await findStoredDocuments([req.params.documentId]);
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+
+  res.download(document.path, document.originalName, { headers: { 'Content-Type': document.mimetype } }, (err) => {
+    if (err) {
+      debugPdfController('Document download error:', err);
+    }
+  });
+});
+
+// Delete a stored document and its file. Documents used by queued or running
+// operations are kept until those finish.
+export const deleteDocument = asyncHandler(async (req, res) => {
+  const { documentId } = req.params;
+
+  const document = await StoredDocument.findOne({ documentId });
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+
+  if (await isDocumentInUse([documentId])) {
+    throw new AppError('Document is used by an operation that has not finished', 409);
+  }
+
+  const filesRemoved = await removeRecordedFiles([{ path: document.path }]);
+  await document.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Document deleted',
+    data: {
+      documentId,
+      filesRemoved
+    }
+  });
+});
+
+// Set the headers resumable upload clients resume from: Upload-Offset is the
+// number of bytes received without a gap from the start
+const setUploadHeaders = (res, session) => {
+  const [firstRange] = session.getReceivedRanges();
+
+  res.set({
+    'Upload-Offset': String(firstRange?.offset === 0 ? firstRange.length : 0),
+    'Upload-Length': String(session.size),
+    'Cache-Control': 'no-store'
+  });
+};
+
+// Start a resumable upload
+export const createUpload = asyncHandler(async (req, res) => {
+  const session = await createUploadSession(req.body);
+  const uploadUrl = `/api/pdf/uploads/${session.uploadId}`;
+
+  res.status(201).location(uploadUrl).json({
+    success: true,
+    message: 'Upload started',
+    data: {
+      ...toUploadStatus(session),
+      uploadUrl,
+      chunkUrl: `${uploadUrl}/chunks/{index}`,
+      completeUrl: `${uploadUrl}/complete`
+    }
+  });
+});
+
+// Receive chunk `index` of a resumable upload. Its offset (Upload-Offset header
+// or ?offset=) must be index * chunkSize; a chunk sent again replaces the first copy.
+export const uploadChunk = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req.params.uploadId);
+  if (!session) {
+    throw new AppError('Upload not found or expired', 404);
+  }
+  if (session.status !== 'uploading') {
+    throw new AppError(`Upload is ${session.status} and takes no more chunks`, 409);
+  }
+
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+    throw new AppError(`Invalid chunk index. Must be between 0 and ${session.chunkCount - 1}`, 400);
+  }
+
+  const offset = Number(req.get('Upload-Offset') ?? req.query.offset);
+  if (offset !== index * session.chunkSize) {
+    throw new AppError(`Chunk ${index} starts at offset ${index * session.chunkSize}`, 409);
+  }
+
+  const bytes = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const expectedLength = getChunkLength(session, index);
+  if (bytes.length !== expectedLength) {
+    throw new AppError(`Chunk ${index} must be ${expectedLength} bytes, got ${bytes.length}`, 400);
+  }
+
+  if (!await writeChunk(session, index, bytes)) {
+    throw new AppError('Upload takes no more chunks', 409);
+  }
+
+  if (!session.receivedChunks.includes(index)) {
+    session.receivedChunks.push(index);
+  }
+  setUploadHeaders(res, session);
+
+  res.json({
+    success: true,
+    message: `Chunk ${index} received`,
+    data: toUploadStatus(session)
+  });
+});
+
+// Received ranges of a resumable upload (HEAD returns the headers only)
+export const getUploadStatus = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req.params.uploadId);
+  if (!session) {
+    throw new AppError('Upload not found or expired', 404);
+  }
+
+  setUploadHeaders(res, session);
+  res.json({
+    success: true,
+    data: toUploadStatus(session)
+  });
+});
+
+// Complete a resumable upload: check the checksum of the assembled file and
+// store it as a document, like /upload does
+export const completeUpload = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const { checksum, password } = req.body;
+
+  const session = await UploadSession.claimCompletion(uploadId);
+  if (!session) {
+    const existing = await findUploadSession(uploadId);
+    if (!existing) {
+      throw new AppError('Upload not found or expired', 404);
+    }
+    throw new AppError(`Upload is already ${existing.status}`, 409);
+  }
+
+  const missingChunks = session.getMissingChunks();
+  if (missingChunks.length > 0) {
+    await session.releaseCompletion();
+    throw new AppError(`Upload is missing chunks ${missingChunks.join(', ')}`, 409);
+  }
+
+  if (!await verifyUpload(session, checksum)) {
+    await session.releaseCompletion();
+    throw new AppError('Checksum does not match the uploaded file; send the chunks again', 422);
+  }
+
+  const file = {
+    originalname: session.originalName,
+    path: session.path,
+    size: session.size,
+    mimetype: session.mimetype
   };
 
-  if (operation.status === 'completed' && operation.outputFiles.length > 0) {
-    response.data.outputFiles = operation.outputFiles.map(file => ({
-      filename: file.filename,
-      size: file.size,
-      previewUrl: `/api/pdf/preview/${file.filename}`,
-      downloadUrl: `/api/pdf/download/${file.filename}`
-    }));
+  try {
+    await decryptUploadedFiles([file], [password || undefined]);
+  } catch (error) {
+    await session.releaseCompletion();
+    throw error instanceof PdfEncryptionError ? new AppError(error.message, 400) : error;
   }
 
-  if (operation.status === 'failed') {
-    response.data.error = operation.processing.errorMessage;
+  const storedFile = { ...await moveToUploads(session), size: file.size, decrypted: file.decrypted };
+
+  let upload;
+  try {
+    upload = await storeUploadedFiles(req, [storedFile]);
+  } catch (error) {
+    // The file itself is unusable; the session cannot be completed again
+    await session.deleteOne();
+    throw error;
   }
 
-  if (operation.processing.duration) {
-    response.data.processingTime = `${operation.processing.duration}ms`;
+  await session.markAsCompleted(upload.documents[0].documentId, upload.operationId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Files uploaded successfully',
+    data: toUploadData(upload.operationId, upload.documents)
+  });
+});
+
+// Abort a resumable upload and remove what was received
+export const deleteUpload = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req.params.uploadId);
+  if (!session) {
+    throw new AppError('Upload not found or expired', 404);
+  }
+  if (session.status === 'completing') {
+    throw new AppError('Upload is being completed', 409);
   }
 
-  res.json(response);
+  await removeUploadSession(session);
+
+  res.json({
+    success: true,
+    message: 'Upload removed',
+    data: { uploadId: session.uploadId }
+  });
 });
 
 // Download file by filename
@@ -289,21 +812,9 @@ export const downloadOperationResult = asyncHandler(async (req, res) => {
       throw new AppError('Output file not found', 404);
     }
   } 
-  // For multiple files (like split), create zip or provide list
+  // For multiple files (like split), stream a zip archive
   else {
-    res.json({
-      success: true,
-      message: 'Multiple files available for download',
-      data: {
-        operationId,
-        outputFiles: operation.outputFiles.map(file => ({
-          filename: file.filename,
-          size: file.size,
-          downloadUrl: `/api/pdf/download/${file.filename}`,
-          previewUrl: `/api/pdf/preview/${file.filename}`
-        }))
-      }
-    });
+    await sendOperationArchive(req, res, operation);
   }
 });
 
@@ -405,79 +916,258 @@ export const bulkDownload = asyncHandler(async (req, res) => {
     return res.redirect(`/api/pdf/download/${operation.outputFiles[0].filename}`);
   }
 
-  // For multiple files, you would typically create a zip
-  // This is a placeholder - you'd need to implement zip creation
-  const archiver = require('archiver');
-  const archive = archiver('zip', { zlib: { level: 9 } });
+  await sendOperationArchive(req, res, operation);
+});
 
-  res.setHeader('Content-Type', 'application/zip');
-  res.setHeader('Content-Disposition', `attachment; filename="${operationId}-files.zip"`);
+// Readable archive entry name for an output file, e.g. "statement_pages_1-5.pdf"
+function archiveEntryName(operation, outputFile, index) {
+  const sourceName = operation.inputFiles[0]?.originalName || operation.operationType;
+  const baseName = path.basename(sourceName, path.extname(sourceName));
+
+  // Bookmark splits are named after the bookmark, numbered to keep document order
+  if (outputFile.title) {
+    const position = String(index + 1).padStart(String(operation.outputFiles.length).length, '0');
+    return sanitizeEntryName(`${position} - ${outputFile.title}.pdf`);
+  }
 
-  archive.pipe(res);
+  if (operation.operationType === 'split' && outputFile.pageRange) {
+    const label = outputFile.pageCount === 1 ? 'page' : 'pages';
+    return sanitizeEntryName(`${baseName}_${label}_${outputFile.pageRange}.pdf`);
+  }
 
-  // Add each file to the archive
-  for (const outputFile of operation.outputFiles) {
+  return sanitizeEntryName(`${baseName}_part_${index + 1}.pdf`);
+}
+
+// Stream all output files of an operation as a single zip archive.
+// Pass ?manifest=true to include a manifest.json describing each entry.
+async function sendOperationArchive(req, res, operation) {
+  const includeManifest = ['true', '1', 'yes'].includes(String(req.query.manifest).toLowerCase());
+
+  const names = uniqueEntryNames(
+    operation.outputFiles.map((file, index) => archiveEntryName(operation, file, index))
+  );
+
+  const entries = [];
+  for (let i = 0; i < operation.outputFiles.length; i++) {
+    const outputFile = operation.outputFiles[i];
     const filePath = path.join(__dirname, '..', 'processed', outputFile.filename);
+
     try {
-      await fs.access(filePath);
-      archive.file(filePath, { name: outputFile.filename });
+      const stats = await fs.stat(filePath);
+      entries.push({
+        name: names[i],
+        path: filePath,
+        size: stats.size,
+        mtime: stats.mtime,
+        outputFile
+      });
     } catch (error) {
       debugPdfController(`File not found for zip: ${outputFile.filename}`);
+      throw new AppError(`Output file not found: ${outputFile.filename}`, 404);
     }
   }
 
-  archive.finalize();
-});
+  if (includeManifest) {
+    const manifest = {
+      operationId: operation.operationId,
+      operationType: operation.operationType,
+      source: operation.inputFiles.map(file => file.originalName),
+      createdAt: operation.createdAt,
+      entries: entries.map(entry => ({
+        name: entry.name,
+        title: entry.outputFile.title || null,
+        pageRange: entry.outputFile.pageRange || null,
+        pageCount: entry.outputFile.pageCount || null,
+        size: entry.size
+      }))
+    };
 
-// Background processing functions
-async function processMergeOperation(operation, inputFiles, mergeOrder) {
-  try {
-    await operation.markAsProcessing();
+    entries.push({
+      name: 'manifest.json',
+      buffer: Buffer.from(JSON.stringify(manifest, null, 2)),
+      mtime: operation.processing.endTime || new Date()
+    });
+  }
 
-    const orderedFiles = mergeOrder && mergeOrder.length > 0 
-      ? mergeOrder.map(index => inputFiles[index]).filter(Boolean)
-      : inputFiles;
+  // The archive is fully determined by its entries, so derive the ETag from them
+  const etag = `"${crypto
+    .createHash('sha1')
+    .update(JSON.stringify([
+      operation.operationId,
+      includeManifest,
+      entries.map(entry => [entry.name, entry.size, entry.mtime?.getTime?.()])
+    ]))
+    .digest('hex')}"`;
+
+  res.setHeader('ETag', etag);
+  if (req.get('If-None-Match') === etag) {
+    return res.status(304).end();
+  }
 
-    const outputPath = await mergePdfFiles(orderedFiles, operation.operationId);
-    const stats = await fs.stat(outputPath);
-    
-    const outputFiles = [{
-      filename: path.basename(outputPath),
-      path: outputPath,
-      size: stats.size,
-      downloadUrl: `/api/pdf/download/${path.basename(outputPath)}`,
-      previewUrl: `/api/pdf/preview/${path.basename(outputPath)}`
-    }];
-
-    await operation.markAsCompleted(outputFiles);
+  const archive = createZipArchive(entries);
+  const sourceName = operation.inputFiles[0]?.originalName || operation.operationId;
+  const archiveName = sanitizeEntryName(
+    `${path.basename(sourceName, path.extname(sourceName))}_${operation.operationType}.zip`
+  ).replace(/[^\x20-\x7e]/g, '_');
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Length', archive.size);
+  res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  try {
+    await pipeline(archive.createStream(), res);
   } catch (error) {
-    debugPdfController('Merge operation failed:', error);
-    await operation.markAsFailed(error.message);
+    // Headers are already sent, so the only option is to drop the connection
+    debugPdfController('Zip streaming failed:', error);
+    res.destroy(error);
   }
 }
 
-async function processSplitOperation(operation, inputFile, options) {
-  try {
-    await operation.markAsProcessing();
+// The inputFiles entry of an uploaded file (a multer file object)
+function toInputFile(file) {
+  return {
+    originalName: file.originalname,
+    filename: file.filename,
+    path: file.path,
+    size: file.size,
+    mimetype: file.mimetype,
+    documentId: file.documentId
+  };
+}
 
-    const outputPaths = await splitPdfFile(inputFile.path, operation.operationId, options);
-    
-    const outputFiles = await Promise.all(
-      outputPaths.map(async (outputPath) => {
-        const stats = await fs.stat(outputPath);
-        return {
-          filename: path.basename(outputPath),
-          path: outputPath,
-          size: stats.size,
-          downloadUrl: `/api/pdf/download/${path.basename(outputPath)}`,
-          previewUrl: `/api/pdf/preview/${path.basename(outputPath)}`
-        };
-      })
-    );
-
-    await operation.markAsCompleted(outputFiles);
+// Create the operation record for the uploaded files, queue it for a job worker
+// with `payload` and answer 202 with the URLs to follow it
+async function enqueueOperation(req, res, operationType, metadata, payload) {
+  const operationId = uuidv4();
+
+  const operation = new PdfOperation({
+    operationId,
+    operationType,
+    status: 'pending',
+    inputFiles: req.files.map(toInputFile),
+    ...(metadata && { metadata }),
+    webhook: req.callbackUrl ? { url: req.callbackUrl } : undefined,
+    clientInfo: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  await queueOperation(operation, payload);
+
+  res.status(202).json({
+    success: true,
+    message: OPERATION_STARTED_MESSAGES[operationType],
+    data: {
+      operationId,
+      status: 'processing',
+      statusUrl: `/api/pdf/status/${operationId}`,
+      previewUrl: `/api/pdf/preview-operation/${operationId}`,
+      downloadUrl: `/api/pdf/download-operation/${operationId}`
+    }
+  });
+}
+
+// Store uploaded files (multer file objects) as documents of a new upload
+// operation. Files that are not readable PDFs fail the request and are removed.
+async function storeUploadedFiles(req, files) {
+  const operationId = uuidv4();
+
+  let documents;
+  try {
+    documents = await storeDocuments(files, operationId);
   } catch (error) {
-    debugPdfController('Split operation failed:', error);
-    await operation.markAsFailed(error.message);
+    await removeRecordedFiles(files);
+    throw error.code === 'INVALID_PDF' ? new AppError(error.message, 422) : error;
   }
-}
\ No newline at end of file
+
+  const inputFiles = documents.map(document => ({
+    originalName: document.originalName,
+    filename: document.filename,
+    path: document.path,
+    size: document.size,
+    mimetype: document.mimetype,
+    documentId: document.documentId
+  }));
+
+  const operation = new PdfOperation({
+    operationId,
+    operationType: 'upload',
+    status: 'completed',
+    inputFiles,
+    clientInfo: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  await operation.save();
+  return { operationId, documents };
+}
+
+// Response data of an upload, shared by /upload and completed resumable uploads
+function toUploadData(operationId, documents) {
+  return {
+    operationId,
+    files: documents.map(document => ({
+      ...toDocumentSummary(document),
+      downloadUrl: `/api/pdf/documents/${document.documentId}/download`
+    }))
+  };
+}
+
+// The file a read-only endpoint works on: one uploaded file (or a document
+// given in documentIds, which the upload middleware adds to the files), a
+// stored document referenced by ?documentId=, or a file referenced by ?filename=
+async function findFileToRead(req, action) {
+  if (req.files && req.files.length > 0) {
+    if (req.files.length !== 1) {
+      await removeRecordedFiles(req.files);
+      throw new AppError(`Exactly one PDF file is required for ${action}`, 400);
+    }
+    return { filePath: req.files[0].path, originalName: req.files[0].originalname };
+  }
+
+  if (req.query.documentId) {
+    const { documents: [document] } = await findStoredDocuments([String(req.query.documentId)]);
+    if (!document) {
+      throw new AppError('Document not found', 404);
+    }
+    return { filePath: document.path, originalName: document.originalName };
+  }
+
+  if (req.query.filename) {
+    return { filePath: await resolveStoredFile(req.query.filename), originalName: req.query.filename };
+  }
+
+  throw new AppError('Upload a PDF file or pass ?documentId= of a stored document or ?filename= of a stored file', 400);
+}
+
+// Find a stored file by name in the processed or uploads directory
+async function resolveStoredFile(filename) {
+  // Only bare file names are accepted, never paths or directory references
+  if (typeof filename !== 'string' || filename === '.' || filename === '..' || path.basename(filename) !== filename) {
+    throw new AppError('Invalid filename', 400);
+  }
+
+  for (const directory of ['processed', 'uploads']) {
+    const directoryPath = path.resolve(__dirname, '..', directory);
+    const filePath = path.resolve(directoryPath, filename);
+    if (path.dirname(filePath) !== directoryPath) {
+      throw new AppError('Invalid filename', 400);
+    }
+
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch {
+      // Try the next directory
+    }
+  }
+
+  throw new AppError('File not found', 404);
+}
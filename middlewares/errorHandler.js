@@ -95,13 +95,15 @@ export const errorHandler = (err, req, res, next) => {
   if (err.name === 'ValidationError') error = handleValidationErrorDB(error);
   if (err.name === 'JsonWebTokenError') error = handleJWTError();
   if (err.name === 'TokenExpiredError') error = handleJWTExpiredError();
+  // Body parsers (JSON bodies, resumable upload chunks)
+  if (err.type === 'entity.too.large') error = new AppError(`Request body too large. Maximum is ${err.limit} bytes.`, 413);
 
   // Handle Multer errors
   if (err.name === 'MulterError') {
     let message;
     switch (err.code) {
       case 'LIMIT_FILE_SIZE':
-        message = 'File size too large. Maximum allowed size is 50MB.';
+        message = `File size too large. Maximum allowed size is ${config.maxFileSize}.`;
         break;
       case 'LIMIT_FILE_COUNT':
         message = 'Too many files. Maximum allowed is 10 files.';
@@ -4,6 +4,16 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { AppError } from '../utils/appError.js';
 import { debugUpload } from '../utils/debugLogger.js';
+import { decryptPdfBytes, PdfEncryptionError } from '../services/encryptionService.js';
+import {
+  parseDocumentIds,
+  findStoredDocuments,
+  toUploadedFile,
+  createUploadFilename
+} from '../services/documentService.js';
+import { config } from '../config/config.js';
+import { parseByteSize, formatBytes } from '../utils/byteSize.js';
+import { removeRecordedFiles } from '../utils/fileCleanup.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,35 +32,48 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     // Generate unique filename with timestamp and random string
-    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
-    const extension = path.extname(file.originalname);
-    const baseName = path.basename(file.originalname, extension);
-    const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9\-_]/g, '_');
-    
-    cb(null, `${sanitizedBaseName}-${uniqueSuffix}${extension}`);
+    cb(null, createUploadFilename(file.originalname));
   }
 });
 
+// Files per request, uploaded and referenced stored documents together
+const MAX_FILES = 10;
+const MAX_FILE_SIZE = parseByteSize(config.maxFileSize);
+
+// Accepted upload types and their file extensions
+const PDF_TYPES = { 'application/pdf': ['.pdf'] };
+const IMAGE_TYPES = { 'image/jpeg': ['.jpg', '.jpeg'], 'image/png': ['.png'] };
+
+// Types that can be stored as documents, by upload or resumable upload
+export const DOCUMENT_TYPES = { ...PDF_TYPES, ...IMAGE_TYPES };
+
 // File filter function
-const fileFilter = (req, file, cb) => {
-  // Check if file is PDF
-  if (file.mimetype === 'application/pdf') {
+const createFileFilter = (allowedTypes, description) => (req, file, cb) => {
+  // Check the declared type of the file
+  if (allowedTypes[file.mimetype]) {
     cb(null, true);
   } else {
-    cb(new AppError('Only PDF files are allowed', 400), false);
+    cb(new AppError(`Only ${description} are allowed`, 400), false);
   }
 };
 
 // Configure multer
-const upload = multer({
+const createUpload = (allowedTypes, description) => multer({
   storage: storage,
-  fileFilter: fileFilter,
+  fileFilter: createFileFilter(allowedTypes, description),
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
-    files: 10 // Maximum 10 files
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES
   }
 });
 
+// Refuse a request with a 400 or 404 response. Its uploads are removed first,
+// as nothing of a refused request is kept; stored documents are left alone.
+const rejectUpload = async (req, res, status, body) => {
+  await removeRecordedFiles(req.files || []);
+  return res.status(status).json({ success: false, ...body });
+};
+
 // Error handler for multer
 const handleMulterError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -58,10 +81,10 @@ const handleMulterError = (error, req, res, next) => {
     
     switch (error.code) {
       case 'LIMIT_FILE_SIZE':
-        message = 'File size too large. Maximum allowed size is 50MB.';
+        message = `File size too large. Maximum allowed size is ${formatBytes(MAX_FILE_SIZE)}.`;
         break;
       case 'LIMIT_FILE_COUNT':
-        message = 'Too many files. Maximum allowed is 10 files.';
+        message = `Too many files. Maximum allowed is ${MAX_FILES} files.`;
         break;
       case 'LIMIT_UNEXPECTED_FILE':
         message = 'Unexpected file field.';
@@ -70,49 +93,203 @@ const handleMulterError = (error, req, res, next) => {
         message = `Upload error: ${error.message}`;
     }
     
-    return res.status(400).json({
-      success: false,
-      message,
+    return rejectUpload(req, res, 400, { message, error: 'UPLOAD_ERROR' });
+  }
+
+  // Other errors (such as a refused file type) end the request as well
+  removeRecordedFiles(req.files || []).then(() => next(error));
+};
+
+// Read passwords for encrypted uploads from the form body.
+// `passwords` is indexed by upload position like mergeOrder: an array
+// (["", "secret"]) or an object ({"1": "secret"}). `password` applies to every
+// file without its own entry, which is the usual case for single-file operations.
+const getUploadPasswords = (body, fileCount) => {
+  const { password, passwords } = body;
+  const byIndex = new Array(fileCount).fill(typeof password === 'string' && password !== '' ? password : undefined);
+
+  if (passwords) {
+    const parsed = typeof passwords === 'string' ? JSON.parse(passwords) : passwords;
+
+    if (parsed === null || typeof parsed !== 'object') {
+      throw new Error('passwords must be a JSON array or object keyed by file index');
+    }
+
+    for (const [key, value] of Object.entries(parsed)) {
+      const index = Number(key);
+      if (!Number.isInteger(index) || index < 0 || index >= fileCount) {
+        throw new Error(`Invalid file index "${key}" in passwords. Must be between 0 and ${fileCount - 1}`);
+      }
+      if (value !== null && typeof value !== 'string') {
+        throw new Error(`Password for file index ${index} must be a string`);
+      }
+      if (value) {
+        byIndex[index] = value;
+      }
+    }
+  }
+
+  return byIndex;
+};
+
+// Replace encrypted uploads with decrypted copies so later steps only see plain PDFs.
+// Passwords are removed from the body and never reach the operation record.
+// Also used when completing resumable uploads.
+export const decryptUploadedFiles = async (files, passwords) => {
+  for (const [index, file] of files.entries()) {
+    if (!PDF_TYPES[file.mimetype]) continue;
+
+    const bytes = await fs.promises.readFile(file.path);
+    const result = await decryptPdfBytes(bytes, passwords[index], file.originalname);
+
+    if (result.encrypted) {
+      await fs.promises.writeFile(file.path, result.bytes);
+      file.size = result.bytes.length;
+      file.decrypted = true;
+      debugUpload(`Decrypted upload ${file.originalname}`);
+    }
+  }
+};
+
+// Append the stored documents referenced by `documentIds` to the uploaded files,
+// so handlers see them in req.files after the uploads. Responds with an error
+// and resolves to false when a reference cannot be used.
+const attachStoredDocuments = async (req, res, allowedTypes, description) => {
+  let documentIds;
+  try {
+    documentIds = parseDocumentIds(req.body?.documentIds);
+  } catch (parseError) {
+    await rejectUpload(req, res, 400, {
+      message: parseError instanceof SyntaxError
+        ? 'documentIds must be a JSON array of document IDs like ["<documentId>"]'
+        : parseError.message,
+      error: 'INVALID_DOCUMENT_IDS'
+    });
+    return false;
+  } finally {
+    if (req.body) {
+      delete req.body.documentIds;
+    }
+  }
+
+  if (documentIds.length === 0) return true;
+
+  const uploadedFiles = req.files || [];
+  if (uploadedFiles.length + documentIds.length > MAX_FILES) {
+    await rejectUpload(req, res, 400, {
+      message: `Too many files. Maximum allowed is ${MAX_FILES} files, uploaded and stored together.`,
       error: 'UPLOAD_ERROR'
     });
+    return false;
   }
-  
-  next(error);
+
+  const { documents, missing } = await findStoredDocuments(documentIds);
+  if (missing.length > 0) {
+    await rejectUpload(req, res, 404, {
+      message: `Stored document not found or expired: ${missing.join(', ')}`,
+      error: 'DOCUMENT_NOT_FOUND'
+    });
+    return false;
+  }
+
+  const rejected = documents.find(document => !allowedTypes[document.mimetype]);
+  if (rejected) {
+    await rejectUpload(req, res, 400, {
+      message: `Invalid file type for ${rejected.originalName}. Only ${description} are allowed.`,
+      error: 'INVALID_FILE_TYPE'
+    });
+    return false;
+  }
+
+  req.files = [...uploadedFiles, ...documents.map(toUploadedFile)];
+  debugUpload(`Using ${documents.length} stored documents:`, documents.map(document => document.originalName));
+
+  return true;
 };
 
-// Upload middleware
-export const uploadMiddleware = (req, res, next) => {
-  const uploadHandler = upload.array('files', 10);
+// Upload middleware factory for a set of accepted types. Unless `acceptDocuments`
+// is false, stored documents can be referenced by documentIds in place of or
+// next to uploads (their passwords are not needed; they were decrypted when stored).
+const createUploadMiddleware = (allowedTypes, description, { acceptDocuments = true } = {}) => {
+  const upload = createUpload(allowedTypes, description);
+  const allowedExtensions = Object.values(allowedTypes).flat();
+
+  return (req, res, next) => {
+    const uploadHandler = upload.array('files', MAX_FILES);
   
-  uploadHandler(req, res, (error) => {
-    if (error) {
-      return handleMulterError(error, req, res, next);
-    }
+    uploadHandler(req, res, (error) => {
+      if (error) {
+        return handleMulterError(error, req, res, next);
+      }
     
-    // Additional validation
-    if (req.files && req.files.length > 0) {
-      // Validate each file
-      for (const file of req.files) {
-        if (!file.originalname.toLowerCase().endsWith('.pdf')) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid file type for ${file.originalname}. Only PDF files are allowed.`,
-            error: 'INVALID_FILE_TYPE'
-          });
-        }
+      // Additional validation
+      if (req.files && req.files.length > 0) {
+        // Validate each file
+        for (const file of req.files) {
+          if (!allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            return rejectUpload(req, res, 400, {
+              message: `Invalid file type for ${file.originalname}. Only ${description} are allowed.`,
+              error: 'INVALID_FILE_TYPE'
+            });
+          }
         
-        if (file.size === 0) {
-          return res.status(400).json({
-            success: false,
-            message: `Empty file detected: ${file.originalname}`,
-            error: 'EMPTY_FILE'
-          });
+          if (file.size === 0) {
+            return rejectUpload(req, res, 400, {
+              message: `Empty file detected: ${file.originalname}`,
+              error: 'EMPTY_FILE'
+            });
+          }
         }
-      }
       
-      debugUpload(`Uploaded ${req.files.length} files:`, req.files.map(f => f.originalname));
-    }
-    
-    next();
-  });
-};
\ No newline at end of file
+        debugUpload(`Uploaded ${req.files.length} files:`, req.files.map(f => f.originalname));
+      }
+
+      let passwords;
+      try {
+        passwords = getUploadPasswords(req.body || {}, req.files?.length || 0);
+      } catch (parseError) {
+        return rejectUpload(req, res, 400, {
+          message: parseError instanceof SyntaxError
+            ? 'passwords must be a JSON array like ["", "secret"] or an object like {"1": "secret"}'
+            : parseError.message,
+          error: 'INVALID_PASSWORDS_FORMAT'
+        });
+      } finally {
+        if (req.body) {
+          delete req.body.password;
+          delete req.body.passwords;
+        }
+      }
+
+      decryptUploadedFiles(req.files || [], passwords)
+        .then(() => !acceptDocuments || attachStoredDocuments(req, res, allowedTypes, description))
+        .then((attached) => {
+          if (attached) next();
+        })
+        .catch(async (uploadError) => {
+          if (uploadError instanceof PdfEncryptionError) {
+            return rejectUpload(req, res, 400, {
+              message: uploadError.message,
+              error: uploadError.code
+            });
+          }
+
+          await removeRecordedFiles(req.files || []);
+          next(uploadError);
+        });
+    });
+  };
+};
+
+// Upload middleware
+export const uploadMiddleware = createUploadMiddleware(PDF_TYPES, 'PDF files');
+
+// Upload middleware that also accepts JPEG and PNG images (merges and image conversion)
+export const pdfOrImageUploadMiddleware = createUploadMiddleware({ ...PDF_TYPES, ...IMAGE_TYPES }, 'PDF, JPEG and PNG files');
+
+// Upload middleware for storing documents (/upload), which only takes new files
+export const documentUploadMiddleware = createUploadMiddleware(
+  DOCUMENT_TYPES,
+  'PDF, JPEG and PNG files',
+  { acceptDocuments: false }
+);
\ No newline at end of file
@@ -1,18 +1,188 @@
 import Joi from 'joi';
+import path from 'path';
 import { AppError } from '../utils/appError.js';
+import { parsePageSelection } from '../utils/pageSelection.js';
+import { parseByteSize } from '../utils/byteSize.js';
+import { STAMP_POSITIONS } from '../services/stampService.js';
+import {
+  IMAGE_PAGE_SIZES,
+  IMAGE_FIT_MODES,
+  IMAGE_ORIENTATIONS,
+  isImageFile
+} from '../services/imageService.js';
+import { IMPOSE_SHEET_SIZES, PAGES_PER_SHEET } from '../services/imposeService.js';
+import { RESIZE_PAGE_SIZES } from '../services/resizeService.js';
+import { config } from '../config/config.js';
+import { DOCUMENT_TYPES } from './uploadMiddleware.js';
+import { assertCallbackTarget, WebhookTargetError } from '../services/webhookService.js';
 
 // Validation schemas
 const mergeSchema = Joi.object({
   mergeOrder: Joi.array().items(Joi.number().integer().min(0)).optional()
 });
 
+// A page selection such as "1-3,7,10", "5-end", "odd" or "1-20,!5"
+const pageSelectionSchema = Joi.string().trim().custom((value, helpers) => {
+  try {
+    parsePageSelection(value);
+    return value;
+  } catch (error) {
+    return helpers.message(error.message);
+  }
+});
+
+// A byte size such as 10485760 or "10MB", converted to bytes
+const byteSizeSchema = Joi.alternatives().try(Joi.number(), Joi.string()).custom((value, helpers) => {
+  const bytes = parseByteSize(value);
+  if (isNaN(bytes) || bytes < 1024) {
+    return helpers.message('{{#label}} must be a size of at least 1KB, like 10485760 or "10MB"');
+  }
+  return bytes;
+});
+
 const splitSchema = Joi.object({
-  splitType: Joi.string().valid('pages', 'range', 'size').default('pages'),
+  splitType: Joi.string().valid('pages', 'range', 'size', 'bookmarks', 'bytes').default('pages'),
   pageRanges: Joi.alternatives().try(
-    Joi.array().items(Joi.string().pattern(/^\d+(-\d+)?$/)),
-    Joi.string().pattern(/^\d+(-\d+)?$/)
+    Joi.array().items(pageSelectionSchema),
+    pageSelectionSchema
   ).optional(),
-  pagesPerFile: Joi.number().integer().min(1).max(100).default(1)
+  pagesPerFile: Joi.number().integer().min(1).max(100).default(1),
+  bookmarkDepth: Joi.number().integer().min(1).max(10).default(1),
+  maxBytes: Joi.when('splitType', {
+    is: 'bytes',
+    then: byteSizeSchema.required(),
+    otherwise: byteSizeSchema.optional()
+  }),
+  optimize: Joi.boolean().default(false)
+});
+
+const rotateSchema = Joi.object({
+  rotations: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.number().integer().custom((value, helpers) => (
+        value % 90 === 0 ? value : helpers.error('any.invalid')
+      )).messages({ 'any.invalid': '{{#label}} must be a multiple of 90' })
+    )
+    .min(1)
+    .required()
+});
+
+const organizeSchema = Joi.object({
+  pageOrder: pageSelectionSchema.optional(),
+  removePages: pageSelectionSchema.optional()
+}).or('pageOrder', 'removePages');
+
+const watermarkSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(200).required(),
+  fontSize: Joi.number().min(4).max(400).default(48),
+  color: Joi.string().pattern(/^#?[0-9a-fA-F]{6}$/).default('#808080')
+    .messages({ 'string.pattern.base': '{{#label}} must be a hex color like "#FF0000"' }),
+  opacity: Joi.number().min(0).max(1).default(0.3),
+  rotation: Joi.number().min(-360).max(360).default(45),
+  position: Joi.string().valid(...STAMP_POSITIONS).default('center'),
+  margin: Joi.number().min(0).max(500).default(36),
+  pages: pageSelectionSchema.optional()
+});
+
+const batesSchema = Joi.object({
+  prefix: Joi.string().max(50).allow('').default(''),
+  suffix: Joi.string().max(50).allow('').default(''),
+  startNumber: Joi.number().integer().min(0).default(1),
+  digits: Joi.number().integer().min(1).max(12).default(6),
+  position: Joi.string().valid(...STAMP_POSITIONS).default('bottom-right'),
+  fontSize: Joi.number().min(4).max(72).default(10),
+  color: Joi.string().pattern(/^#?[0-9a-fA-F]{6}$/).default('#000000')
+    .messages({ 'string.pattern.base': '{{#label}} must be a hex color like "#FF0000"' }),
+  margin: Joi.number().min(0).max(500).default(24)
+});
+
+// Page layout for images converted to PDF pages
+const imageLayoutSchema = Joi.object({
+  pageSize: Joi.string().valid(...IMAGE_PAGE_SIZES).default('A4'),
+  orientation: Joi.string().valid(...IMAGE_ORIENTATIONS).default('auto'),
+  fitMode: Joi.string().valid(...IMAGE_FIT_MODES).default('fit'),
+  margin: Joi.number().min(0).max(200).default(0)
+});
+
+// N-up and booklet imposition; booklets always put 2 pages on each sheet side
+const imposeSchema = Joi.object({
+  mode: Joi.string().valid('nup', 'booklet').default('nup'),
+  pagesPerSheet: Joi.number().integer().valid(...PAGES_PER_SHEET).default(2),
+  sheetSize: Joi.string().valid(...IMPOSE_SHEET_SIZES).default('A4'),
+  orientation: Joi.string().valid('auto', 'portrait', 'landscape').default('auto'),
+  order: Joi.string().valid('row', 'column').default('row'),
+  margin: Joi.number().min(0).max(144).default(18),
+  gutter: Joi.number().min(0).max(144).default(12)
+});
+
+// Target page size for resizing; "custom" takes width and height in points
+const pageSizeSchema = Joi.object({
+  pageSize: Joi.string().valid(...RESIZE_PAGE_SIZES).default('A4'),
+  width: Joi.when('pageSize', {
+    is: 'custom',
+    then: Joi.number().min(72).max(14400).required(),
+    otherwise: Joi.forbidden()
+  }),
+  height: Joi.when('pageSize', {
+    is: 'custom',
+    then: Joi.number().min(72).max(14400).required(),
+    otherwise: Joi.forbidden()
+  }),
+  orientation: Joi.string().valid('portrait', 'landscape').default('portrait'),
+  margin: Joi.number().min(0).max(144).default(0),
+  autoRotate: Joi.boolean().default(true)
+});
+
+// Cover page of a merged packet; the date defaults to the day of the merge
+const coverPageSchema = Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.object({
+    title: Joi.string().trim().max(300).allow(''),
+    date: Joi.string().trim().max(100).allow('')
+  })
+);
+
+// Form values by field name: strings for text fields and choices, booleans for
+// check boxes, arrays for multi-select lists, null to clear
+const formFillSchema = Joi.object({
+  fields: Joi.object()
+    .pattern(
+      Joi.string(),
+      Joi.alternatives().try(
+        Joi.string().allow(''),
+        Joi.number(),
+        Joi.boolean(),
+        Joi.array().items(Joi.string())
+      ).allow(null)
+    )
+    .min(1)
+    .required(),
+  flatten: Joi.boolean().default(false)
+});
+
+const documentInfoFields = {
+  title: Joi.string().max(1000).allow('', null),
+  author: Joi.string().max(1000).allow('', null),
+  subject: Joi.string().max(1000).allow('', null),
+  keywords: Joi.alternatives().try(
+    Joi.array().items(Joi.string().max(200)),
+    Joi.string().max(1000)
+  ).allow('', null)
+};
+
+const metadataEditSchema = Joi.object({
+  ...documentInfoFields,
+  creator: Joi.string().max(1000).allow('', null),
+  producer: Joi.string().max(1000).allow('', null),
+  creationDate: Joi.date().iso().allow('', null),
+  modificationDate: Joi.date().iso().allow('', null),
+  stripAll: Joi.boolean().default(false)
+}).custom((value, helpers) => {
+  const { stripAll, ...fields } = value;
+  return stripAll || Object.keys(fields).length > 0
+    ? value
+    : helpers.message('Provide at least one metadata field to change, or stripAll');
 });
 
 // Validation middleware factory
@@ -39,11 +209,11 @@ const createValidationMiddleware = (schema) => {
 
 // Merge request validation
 export const validateMergeRequest = (req, res, next) => {
-  // Ensure at least 2 PDF files are uploaded
+  // Ensure at least 2 files (PDFs or images) are uploaded
   if (!req.files || req.files.length < 2) {
     return res.status(400).json({
       success: false,
-      message: 'At least 2 PDF files are required for merging',
+      message: 'At least 2 files (PDF, JPEG or PNG) are required for merging',
       error: 'INSUFFICIENT_FILES'
     });
   }
@@ -98,23 +268,288 @@ export const validateMergeRequest = (req, res, next) => {
     }
   }
 
-  next();
-};
+  // Per-file page selections, indexed by upload position like mergeOrder.
+  // Accepts an array (["1-2", "", "4-6"]) or an object ({"0": "1-2", "2": "4-6"}).
+  const { pageRanges } = req.body;
 
+  if (pageRanges) {
+    let parsedRanges = pageRanges;
 
-// Split request validation
-export const validateSplitRequest = (req, res, next) => {
-  // Check if exactly one file is provided
-  if (!req.files || req.files.length !== 1) {
+    if (typeof parsedRanges === 'string') {
+      try {
+        parsedRanges = JSON.parse(parsedRanges);
+      } catch {
+        return res.status(400).json({
+          success: false,
+          message: 'pageRanges must be a JSON array like ["1-2", "", "4-6"] or an object like {"0": "1-2"}',
+          error: 'INVALID_PAGE_RANGES_FORMAT'
+        });
+      }
+    }
+
+    if (!parsedRanges || typeof parsedRanges !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'pageRanges must be a JSON array like ["1-2", "", "4-6"] or an object like {"0": "1-2"}',
+        error: 'INVALID_PAGE_RANGES_FORMAT'
+      });
+    }
+
+    const normalizedRanges = req.files.map(() => '');
+
+    for (const [key, selection] of Object.entries(parsedRanges)) {
+      const index = Number(key);
+      if (!Number.isInteger(index) || index < 0 || index >= req.files.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid file index "${key}" in pageRanges. Must be between 0 and ${req.files.length - 1}`,
+          error: 'INVALID_PAGE_RANGES_INDEX'
+        });
+      }
+
+      // Empty or missing selections mean "all pages"
+      if (selection === null || selection === undefined || String(selection).trim() === '') {
+        continue;
+      }
+
+      if (isImageFile(req.files[index])) {
+        return res.status(400).json({
+          success: false,
+          message: `pageRanges cannot be used for ${req.files[index].originalname}: images always become a single page`,
+          error: 'INVALID_PAGE_SELECTION'
+        });
+      }
+
+      try {
+        parsePageSelection(selection);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid pageRanges for ${req.files[index].originalname}: ${error.message}`,
+          error: 'INVALID_PAGE_SELECTION'
+        });
+      }
+
+      normalizedRanges[index] = String(selection).trim();
+    }
+
+    req.body.pageRanges = normalizedRanges;
+  }
+
+  // Bookmark titles per file, indexed by upload position like pageRanges.
+  // Files without a label are bookmarked with their original name.
+  const { bookmarkLabels } = req.body;
+
+  if (bookmarkLabels) {
+    let parsedLabels = bookmarkLabels;
+
+    if (typeof parsedLabels === 'string') {
+      try {
+        parsedLabels = JSON.parse(parsedLabels);
+      } catch {
+        parsedLabels = null;
+      }
+    }
+
+    if (!parsedLabels || typeof parsedLabels !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'bookmarkLabels must be a JSON array like ["Contract", "", "Appendix"] or an object like {"0": "Contract"}',
+        error: 'INVALID_BOOKMARK_LABELS'
+      });
+    }
+
+    const normalizedLabels = req.files.map(() => '');
+
+    for (const [key, label] of Object.entries(parsedLabels)) {
+      const index = Number(key);
+      if (!Number.isInteger(index) || index < 0 || index >= req.files.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid file index "${key}" in bookmarkLabels. Must be between 0 and ${req.files.length - 1}`,
+          error: 'INVALID_BOOKMARK_LABELS'
+        });
+      }
+
+      if (label !== null && label !== undefined && (typeof label !== 'string' || label.length > 500)) {
+        return res.status(400).json({
+          success: false,
+          message: `Bookmark label for ${req.files[index].originalname} must be a string of at most 500 characters`,
+          error: 'INVALID_BOOKMARK_LABELS'
+        });
+      }
+
+      normalizedLabels[index] = (label || '').trim();
+    }
+
+    req.body.bookmarkLabels = normalizedLabels;
+  }
+
+  // Optional watermark stamped on the merged document
+  if (req.body.watermark) {
+    const { error, value } = parseJsonOption(req.body.watermark, watermarkSchema);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid watermark: ${error}`,
+        error: 'INVALID_WATERMARK'
+      });
+    }
+
+    req.body.watermark = value;
+  }
+
+  // Optional document information for the merged output
+  if (req.body.metadata) {
+    const { error, value } = parseJsonOption(req.body.metadata, Joi.object(documentInfoFields));
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid metadata: ${error}`,
+        error: 'INVALID_METADATA'
+      });
+    }
+
+    req.body.metadata = value;
+  }
+
+  // Optional Bates numbering that runs on across all merged files
+  if (req.body.bates) {
+    const { error, value } = parseJsonOption(req.body.bates, batesSchema);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bates: ${error}`,
+        error: 'INVALID_BATES'
+      });
+    }
+
+    req.body.bates = value;
+  }
+
+  // Optional cover page listing the merged files
+  if (req.body.coverPage !== undefined) {
+    const { error, value } = parseJsonOption(req.body.coverPage, coverPageSchema);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid coverPage: ${error}`,
+        error: 'INVALID_COVER_PAGE'
+      });
+    }
+
+    req.body.coverPage = value === true ? {} : value || undefined;
+  }
+
+  // Optional separator pages and blank pages for duplex printing, and bookmarks per file
+  const { error: flagsError, value: flags } = Joi.object({
+    separatorPages: Joi.boolean().default(false),
+    startOnOddPage: Joi.boolean().default(false),
+    bookmarks: Joi.boolean().default(true),
+    nestBookmarks: Joi.boolean().default(true)
+  }).validate({
+    separatorPages: req.body.separatorPages,
+    startOnOddPage: req.body.startOnOddPage,
+    bookmarks: req.body.bookmarks,
+    nestBookmarks: req.body.nestBookmarks
+  }, { abortEarly: false });
+
+  if (flagsError) {
+    return res.status(400).json({
+      success: false,
+      message: `Validation error: ${flagsError.details.map(detail => detail.message).join(', ')}`,
+      error: 'VALIDATION_ERROR'
+    });
+  }
+
+  Object.assign(req.body, flags);
+
+  // Optional page size that every merged page is resized to
+  if (req.body.normalize) {
+    const { error, value } = parseJsonOption(req.body.normalize, pageSizeSchema);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid normalize: ${error}`,
+        error: 'INVALID_NORMALIZE'
+      });
+    }
+
+    req.body.normalize = value;
+  }
+
+  // Page layout for image inputs
+  if (req.files.some(isImageFile)) {
+    const { error, value } = parseJsonOption(req.body.imageOptions || {}, imageLayoutSchema);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid imageOptions: ${error}`,
+        error: 'INVALID_IMAGE_OPTIONS'
+      });
+    }
+
+    req.body.imageOptions = value;
+  } else {
+    delete req.body.imageOptions;
+  }
+
+  // Optional size optimization of the merged output
+  const { error: optimizeError, value: optimize } = Joi.boolean().default(false).validate(req.body.optimize);
+
+  if (optimizeError) {
     return res.status(400).json({
       success: false,
-      message: 'Exactly one PDF file is required for splitting',
-      error: 'INVALID_FILE_COUNT'
+      message: 'optimize must be true or false',
+      error: 'INVALID_OPTIMIZE'
     });
   }
 
-  // Validate split parameters
-  const { error, value } = splitSchema.validate(req.body, {
+  req.body.optimize = optimize;
+
+  next();
+};
+
+
+// Parse an option object that multipart bodies send as a JSON string and
+// validate it. Returns { error } with a message, or { value }.
+const parseJsonOption = (raw, schema) => {
+  let option = raw;
+
+  if (typeof option === 'string') {
+    try {
+      option = JSON.parse(option);
+    } catch {
+      return { error: 'must be a JSON object' };
+    }
+  }
+
+  const { error, value } = schema.validate(option, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return { error: error.details.map(detail => detail.message).join(', ') };
+  }
+
+  return { value };
+};
+
+// A request rejected by an operation validator, answered with a 400 and `code`
+class RequestValidationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RequestValidationError';
+    this.code = code;
+  }
+}
+
+// Validate operation options against a schema, returning the sanitized value
+const validateOptions = (schema, options) => {
+  const { error, value } = schema.validate(options, {
     abortEarly: false,
     stripUnknown: true
   });
@@ -123,55 +558,322 @@ export const validateSplitRequest = (req, res, next) => {
     const errorMessage = error.details
       .map(detail => detail.message)
       .join(', ');
-    
-    return res.status(400).json({
-      success: false,
-      message: `Validation error: ${errorMessage}`,
-      error: 'VALIDATION_ERROR'
-    });
+
+    throw new RequestValidationError(`Validation error: ${errorMessage}`, 'VALIDATION_ERROR');
+  }
+
+  return value;
+};
+
+// File check of the operations that work on exactly one PDF
+const requireOnePdf = (message) => (files) => {
+  if (!files || files.length !== 1) {
+    throw new RequestValidationError(message, 'INVALID_FILE_COUNT');
   }
+};
+
+// Operation validator factory. Checks the uploaded files, validates the body
+// (or the options `prepare` reads from it) against `schema`, runs `check` on the
+// result and replaces req.body with it. Steps reject the request by throwing a
+// RequestValidationError.
+const createOperationValidator = ({ files, schema, prepare = body => body, check = () => {} }) => {
+  return (req, res, next) => {
+    let value;
+
+    try {
+      files(req.files);
+      value = validateOptions(schema, prepare(req.body));
+      check(value);
+    } catch (error) {
+      if (!(error instanceof RequestValidationError)) {
+        throw error;
+      }
 
-  // Additional validation for page ranges
-  const { splitType, pageRanges } = value;
-  
-  if (splitType === 'range') {
-    if (!pageRanges || (Array.isArray(pageRanges) && pageRanges.length === 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Page ranges are required when split type is "range"',
-        error: 'MISSING_PAGE_RANGES'
+        message: error.message,
+        error: error.code
       });
     }
 
-    // Validate page range format
-    const ranges = Array.isArray(pageRanges) ? pageRanges : [pageRanges];
-    for (const range of ranges) {
-      if (!range.match(/^\d+(-\d+)?$/)) {
-        return res.status(400).json({
-          success: false,
-          message: `Invalid page range format: ${range}. Use formats like "1", "1-5", "3-7"`,
-          error: 'INVALID_PAGE_RANGE_FORMAT'
-        });
+    req.body = value;
+    next();
+  };
+};
+
+// Split request validation
+export const validateSplitRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for splitting'),
+  schema: splitSchema,
+  // Page ranges are required for range splitting
+  check: ({ splitType, pageRanges }) => {
+    if (splitType === 'range' && (!pageRanges || (Array.isArray(pageRanges) && pageRanges.length === 0))) {
+      throw new RequestValidationError('Page ranges are required when split type is "range"', 'MISSING_PAGE_RANGES');
+    }
+  }
+});
+
+// Rotate request validation
+export const validateRotateRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for rotation'),
+  schema: rotateSchema,
+  prepare: (body) => {
+    // Multipart bodies carry the rotation map as a JSON string
+    let { rotations } = body;
+    if (typeof rotations === 'string') {
+      try {
+        rotations = JSON.parse(rotations);
+      } catch {
+        throw new RequestValidationError(
+          'rotations must be a JSON object like {"1-3": 90, "7": 180}',
+          'INVALID_ROTATIONS_FORMAT'
+        );
       }
+    }
 
-      // Validate range values
-      if (range.includes('-')) {
-        const [start, end] = range.split('-').map(num => parseInt(num));
-        if (start >= end) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid page range: ${range}. Start page must be less than end page`,
-            error: 'INVALID_PAGE_RANGE_VALUES'
-          });
+    // Check each selection key first so errors name the exact failing token
+    if (rotations && typeof rotations === 'object') {
+      for (const selection of Object.keys(rotations)) {
+        try {
+          parsePageSelection(selection);
+        } catch (selectionError) {
+          throw new RequestValidationError(`Validation error: ${selectionError.message}`, 'INVALID_PAGE_SELECTION');
         }
       }
     }
+
+    return { rotations };
+  }
+});
+
+// Watermark request validation (options are sent as top-level fields)
+export const validateWatermarkRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for watermarking'),
+  schema: watermarkSchema
+});
+
+// Bates numbering request validation (options are sent as top-level fields)
+export const validateBatesRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for Bates numbering'),
+  schema: batesSchema
+});
+
+// Metadata edit request validation (fields are sent as top-level fields)
+export const validateMetadataEditRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for editing metadata'),
+  schema: metadataEditSchema
+});
+
+// Accept page selections as strings ("5,1,2-3"), arrays or JSON arrays ("[5,1,\"2-3\"]")
+const toPageSelection = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  let list = value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    list = JSON.parse(value);
+  }
+
+  return Array.isArray(list) ? list.join(',') : String(list);
+};
+
+// Organize request validation
+export const validateOrganizeRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for organizing'),
+  schema: organizeSchema,
+  prepare: (body) => {
+    try {
+      return {
+        pageOrder: toPageSelection(body.pageOrder),
+        removePages: toPageSelection(body.removePages)
+      };
+    } catch {
+      throw new RequestValidationError(
+        'pageOrder and removePages must be page selections like "5,1,2-4" or arrays like [5,1,2]',
+        'INVALID_PAGE_LIST_FORMAT'
+      );
+    }
+  }
+});
+
+// Image conversion request validation
+export const validateImagesToPdfRequest = createOperationValidator({
+  files: (files) => {
+    if (!files || files.length === 0) {
+      throw new RequestValidationError('At least one JPEG or PNG image is required', 'INSUFFICIENT_FILES');
+    }
+
+    const nonImage = files.find(file => !isImageFile(file));
+    if (nonImage) {
+      throw new RequestValidationError(
+        `Invalid file type for ${nonImage.originalname}. Only JPEG and PNG images can be converted.`,
+        'INVALID_FILE_TYPE'
+      );
+    }
+  },
+  schema: imageLayoutSchema
+});
+
+// Impose request validation
+export const validateImposeRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for imposition'),
+  schema: imposeSchema
+});
+
+// Resize request validation
+export const validateResizeRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for resizing'),
+  schema: pageSizeSchema
+});
+
+// Form fill request validation
+export const validateFormFillRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for filling a form'),
+  schema: formFillSchema,
+  prepare: (body) => {
+    // Multipart bodies send the field values as a JSON string
+    let { fields } = body;
+    if (typeof fields === 'string') {
+      try {
+        fields = JSON.parse(fields);
+      } catch {
+        throw new RequestValidationError(
+          'fields must be a JSON object like {"firstName": "Ada", "agree": true}',
+          'INVALID_FIELDS_FORMAT'
+        );
+      }
+    }
+
+    return { fields, flatten: body.flatten };
+  }
+});
+
+// Optimize request validation; optimizing takes no options
+export const validateOptimizeRequest = createOperationValidator({
+  files: requireOnePdf('Exactly one PDF file is required for optimizing'),
+  schema: Joi.object()
+});
+
+const callbackUrlSchema = Joi.string().trim().uri({ scheme: ['http', 'https'] }).required();
+
+// Optional callbackUrl of an operation request. Runs before the operation's own
+// validator, which would strip it, and moves it from the body to req.callbackUrl.
+export const validateCallbackUrl = async (req, res, next) => {
+  const { callbackUrl } = req.body;
+  delete req.body.callbackUrl;
+
+  if (callbackUrl === undefined || callbackUrl === '') {
+    return next();
+  }
+
+  const { error, value } = callbackUrlSchema.validate(callbackUrl);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'callbackUrl must be an absolute http or https URL',
+      error: 'INVALID_CALLBACK_URL'
+    });
+  }
+
+  // Deliveries are signed, so they cannot be sent without a secret
+  if (!config.webhookSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Completion webhooks are not configured on this server',
+      error: 'WEBHOOKS_NOT_CONFIGURED'
+    });
+  }
+
+  // Deliveries may not reach loopback, private or link-local hosts
+  try {
+    await assertCallbackTarget(value);
+  } catch (targetError) {
+    if (!(targetError instanceof WebhookTargetError)) {
+      return next(targetError);
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: `callbackUrl is not allowed: ${targetError.message}`,
+      error: targetError.code
+    });
+  }
+
+  req.callbackUrl = value;
+  next();
+};
+
+const MAX_FILE_SIZE = parseByteSize(config.maxFileSize);
+
+// Resumable upload session: the file's name, type and size
+const uploadSessionSchema = Joi.object({
+  filename: Joi.string().trim().max(255).required(),
+  mimetype: Joi.string().valid(...Object.keys(DOCUMENT_TYPES)).required(),
+  size: Joi.number().integer().min(1).max(MAX_FILE_SIZE).required()
+    .messages({ 'number.max': `"size" must not exceed ${config.maxFileSize}` })
+}).custom((value, helpers) => {
+  const extension = path.extname(value.filename).toLowerCase();
+  if (!DOCUMENT_TYPES[value.mimetype].includes(extension)) {
+    return helpers.message(`"filename" must end in ${DOCUMENT_TYPES[value.mimetype].join(' or ')} for ${value.mimetype}`);
+  }
+  return value;
+});
+
+// Resumable upload session request validation
+export const validateUploadSessionRequest = (req, res, next) => {
+  const { error, value } = uploadSessionSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errorMessage = error.details
+      .map(detail => detail.message)
+      .join(', ');
+
+    return res.status(error.details.some(detail => detail.type === 'number.max') ? 413 : 400).json({
+      success: false,
+      message: `Validation error: ${errorMessage}`,
+      error: 'VALIDATION_ERROR'
+    });
   }
 
   req.body = value;
   next();
 };
 
+// Completing a resumable upload: the SHA-256 of the whole file as hex
+// (optionally prefixed "sha256:"), and the password of an encrypted PDF
+const uploadCompleteSchema = Joi.object({
+  checksum: Joi.string().trim().pattern(/^(sha256:)?[0-9a-fA-F]{64}$/).required()
+    .messages({ 'string.pattern.base': '"checksum" must be the SHA-256 of the file as 64 hex characters' }),
+  password: Joi.string().allow('').optional()
+});
+
+// Resumable upload completion validation
+export const validateUploadCompleteRequest = (req, res, next) => {
+  const { error, value } = uploadCompleteSchema.validate(req.body || {}, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const errorMessage = error.details
+      .map(detail => detail.message)
+      .join(', ');
+
+    return res.status(400).json({
+      success: false,
+      message: `Validation error: ${errorMessage}`,
+      error: 'VALIDATION_ERROR'
+    });
+  }
+
+  req.body = { ...value, checksum: value.checksum.replace(/^sha256:/, '') };
+  next();
+};
+
 // Generic request validation middleware
 export const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -10,12 +10,12 @@ const pdfOperationSchema = new mongoose.Schema({
   operationType: {
     type: String,
     required: true,
-    enum: ['merge', 'split']
+    enum: ['upload', 'merge', 'split', 'rotate', 'organize', 'watermark', 'bates', 'metadata', 'optimize', 'images-to-pdf', 'fill', 'impose', 'resize']
   },
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   inputFiles: [{
@@ -23,13 +23,19 @@ const pdfOperationSchema = new mongoose.Schema({
     filename: String,
     path: String,
     size: Number,
-    mimetype: String
+    mimetype: String,
+    // Set for stored documents, whose files are shared between operations
+    documentId: String
   }],
   outputFiles: [{
     filename: String,
     path: String,
     size: Number,
-    downloadUrl: String
+    downloadUrl: String,
+    previewUrl: String,
+    title: String,
+    pageRange: String,
+    pageCount: Number
   }],
   metadata: {
     totalPages: Number,
@@ -38,10 +44,118 @@ const pdfOperationSchema = new mongoose.Schema({
     splitOptions: {
       splitType: {
         type: String,
-        enum: ['pages', 'range', 'size']
+        enum: ['pages', 'range', 'size', 'bookmarks', 'bytes']
       },
       pageRanges: [String],
-      pagesPerFile: Number
+      pagesPerFile: Number,
+      bookmarkDepth: Number,
+      maxBytes: Number,
+      boundaries: [String],
+      optimize: Boolean
+    },
+    organizeOptions: {
+      pageOrder: String,
+      removePages: String,
+      pageSequence: [Number]
+    },
+    watermark: {
+      text: String,
+      fontSize: Number,
+      color: String,
+      opacity: Number,
+      rotation: Number,
+      position: String,
+      margin: Number,
+      pages: String
+    },
+    bates: {
+      prefix: String,
+      suffix: String,
+      startNumber: Number,
+      digits: Number,
+      position: String,
+      fontSize: Number,
+      color: String,
+      margin: Number,
+      assigned: [{
+        _id: false,
+        originalName: String,
+        firstNumber: Number,
+        lastNumber: Number,
+        firstLabel: String,
+        lastLabel: String
+      }]
+    },
+    documentInfo: {
+      title: String,
+      author: String,
+      subject: String,
+      keywords: mongoose.Schema.Types.Mixed,
+      creator: String,
+      producer: String,
+      creationDate: Date,
+      modificationDate: Date,
+      stripAll: Boolean
+    },
+    rotations: [{
+      _id: false,
+      pages: String,
+      angle: Number
+    }],
+    imposeOptions: {
+      mode: {
+        type: String,
+        enum: ['nup', 'booklet']
+      },
+      pagesPerSheet: Number,
+      sheetSize: String,
+      orientation: String,
+      order: String,
+      margin: Number,
+      gutter: Number,
+      blankPages: Number
+    },
+    // Cover, separator and blank pages generated for a merge
+    pageInsertion: {
+      coverPage: Boolean,
+      coverTitle: String,
+      coverDate: String,
+      separatorPages: Boolean,
+      startOnOddPage: Boolean,
+      addedPages: Number
+    },
+    // Bookmark per merged file; labels are indexed by upload position
+    bookmarkOptions: {
+      enabled: Boolean,
+      nested: Boolean,
+      labels: [String]
+    },
+    // Target page size of a resize, or of a merge with normalize
+    pageSizeOptions: {
+      pageSize: String,
+      width: Number,
+      height: Number,
+      orientation: String,
+      margin: Number,
+      autoRotate: Boolean,
+      resizedPages: Number
+    },
+    // Field names only: filled values often hold personal data
+    formFill: {
+      fieldNames: [String],
+      flatten: Boolean
+    },
+    imageOptions: {
+      pageSize: String,
+      orientation: String,
+      fitMode: String,
+      margin: Number
+    },
+    optimization: {
+      originalSize: Number,
+      optimizedSize: Number,
+      savedBytes: Number,
+      savedPercent: Number
     }
   },
   processing: {
@@ -50,9 +164,49 @@ const pdfOperationSchema = new mongoose.Schema({
     duration: Number,
     errorMessage: String
   },
+  // Reported by the running job; etaSeconds is estimated from the pages done so far
+  progress: {
+    processedPages: Number,
+    totalPages: Number,
+    currentFile: String,
+    etaSeconds: Number,
+    updatedAt: Date
+  },
   clientInfo: {
     ipAddress: String,
     userAgent: String
+  },
+  // Queue state: the operation is a job until a worker completes or fails it
+  job: {
+    payload: mongoose.Schema.Types.Mixed,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: Number,
+    runAt: Date,
+    lockedBy: String,
+    leaseExpiresAt: Date,
+    lastError: String,
+    // Set by DELETE on a running job; its worker stops at the next check
+    cancelRequested: Boolean
+  },
+  // Completion callback (callbackUrl), queued once the operation finishes
+  webhook: {
+    url: String,
+    status: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed']
+    },
+    nextAttemptAt: Date,
+    deliveries: [{
+      _id: false,
+      attempt: Number,
+      attemptedAt: Date,
+      statusCode: Number,
+      error: String,
+      durationMs: Number
+    }]
   }
 }, {
   timestamps: true,
@@ -64,6 +218,8 @@ const pdfOperationSchema = new mongoose.Schema({
 pdfOperationSchema.index({ createdAt: 1 });
 pdfOperationSchema.index({ status: 1 });
 pdfOperationSchema.index({ operationType: 1 });
+pdfOperationSchema.index({ status: 1, 'job.runAt': 1 });
+pdfOperationSchema.index({ 'webhook.status': 1, 'webhook.nextAttemptAt': 1 });
 
 // Virtual for operation duration
 pdfOperationSchema.virtual('processingDuration').get(function() {
@@ -80,11 +236,25 @@ pdfOperationSchema.methods.markAsProcessing = function() {
   return this.save();
 };
 
+// Finished jobs drop their payload (form values can hold personal data) and lease,
+// and queue their completion callback
+const releaseJob = (operation) => {
+  operation.job.payload = undefined;
+  operation.job.lockedBy = undefined;
+  operation.job.leaseExpiresAt = undefined;
+
+  if (operation.webhook?.url) {
+    operation.webhook.status = 'pending';
+    operation.webhook.nextAttemptAt = new Date();
+  }
+};
+
 pdfOperationSchema.methods.markAsCompleted = function(outputFiles) {
   this.status = 'completed';
   this.processing.endTime = new Date();
   this.processing.duration = this.processing.endTime - this.processing.startTime;
   this.outputFiles = outputFiles;
+  releaseJob(this);
   return this.save();
 };
 
@@ -92,14 +262,136 @@ pdfOperationSchema.methods.markAsFailed = function(errorMessage) {
   this.status = 'failed';
   this.processing.endTime = new Date();
   this.processing.errorMessage = errorMessage;
+  releaseJob(this);
   return this.save();
 };
 
+pdfOperationSchema.methods.markAsCancelled = function() {
+  this.status = 'cancelled';
+  this.processing.endTime = new Date();
+  releaseJob(this);
+  return this.save();
+};
+
+// Check the stored record, so requests made through another process are seen
+pdfOperationSchema.methods.isCancelRequested = async function() {
+  return Boolean(await this.constructor.exists({ _id: this._id, 'job.cancelRequested': true }));
+};
+
+// Store progress without save(), which must not run while the worker saves the record
+pdfOperationSchema.methods.reportProgress = function(progress) {
+  return this.constructor.updateOne({ _id: this._id }, { $set: { progress } });
+};
+
+// Record a callback delivery attempt and what comes next: `status` stays
+// pending with a nextAttemptAt for a retry, or becomes delivered or failed
+pdfOperationSchema.methods.recordWebhookDelivery = function(delivery, status, nextAttemptAt) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: { 'webhook.deliveries': delivery },
+      ...(nextAttemptAt
+        ? { $set: { 'webhook.status': status, 'webhook.nextAttemptAt': nextAttemptAt } }
+        : { $set: { 'webhook.status': status }, $unset: { 'webhook.nextAttemptAt': '' } })
+    }
+  );
+};
+
+// Put a failed attempt back in the queue, to be claimed again after delayMs
+pdfOperationSchema.methods.scheduleRetry = function(errorMessage, delayMs) {
+  this.status = 'pending';
+  this.job.runAt = new Date(Date.now() + delayMs);
+  this.job.lastError = errorMessage;
+  this.job.lockedBy = undefined;
+  this.job.leaseExpiresAt = undefined;
+  return this.save();
+};
+
+// Extend the lease of a running job. Resolves to false when the worker no longer
+// holds it (the lease ran out and another worker claimed the job).
+pdfOperationSchema.methods.renewLease = async function(workerId, leaseMs) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'processing', 'job.lockedBy': workerId },
+    { $set: { 'job.leaseExpiresAt': new Date(Date.now() + leaseMs) } }
+  );
+  return result.matchedCount > 0;
+};
+
 // Statics
 pdfOperationSchema.statics.findByOperationId = function(operationId) {
   return this.findOne({ operationId });
 };
 
+// Atomically claim the next due job for a worker: a pending job whose runAt has
+// passed, or a processing one whose worker stopped renewing its lease
+pdfOperationSchema.statics.claimNextJob = function(workerId, leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', 'job.runAt': { $lte: now } },
+        { status: 'processing', 'job.leaseExpiresAt': { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'processing',
+        'processing.startTime': now,
+        'job.lockedBy': workerId,
+        'job.leaseExpiresAt': new Date(now.getTime() + leaseMs)
+      },
+      $inc: { 'job.attempts': 1 }
+    },
+    { sort: { 'job.runAt': 1 }, new: true }
+  );
+};
+
+// Cancel a job that no worker has claimed yet. Resolves to the cancelled
+// operation, or null when it is no longer pending.
+pdfOperationSchema.statics.cancelPendingJob = async function(operationId) {
+  const now = new Date();
+
+  const cancelled = await this.findOneAndUpdate(
+    { operationId, status: 'pending' },
+    {
+      $set: { status: 'cancelled', 'processing.endTime': now },
+      $unset: { 'job.payload': '' }
+    },
+    { new: true }
+  );
+
+  if (cancelled?.webhook?.url) {
+    await this.updateOne(
+      { _id: cancelled._id },
+      { $set: { 'webhook.status': 'pending', 'webhook.nextAttemptAt': now } }
+    );
+  }
+
+  return cancelled;
+};
+
+// Ask the worker running a job to stop. Resolves to false when it is not processing.
+pdfOperationSchema.statics.requestCancellation = async function(operationId) {
+  const result = await this.updateOne(
+    { operationId, status: 'processing' },
+    { $set: { 'job.cancelRequested': true } }
+  );
+  return result.matchedCount > 0;
+};
+
+// Claim the next due callback delivery. Its nextAttemptAt moves ahead by
+// leaseMs, so other workers leave it alone while it is being sent.
+pdfOperationSchema.statics.claimWebhookDelivery = function(leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { 'webhook.status': 'pending', 'webhook.nextAttemptAt': { $lte: now } },
+    { $set: { 'webhook.nextAttemptAt': new Date(now.getTime() + leaseMs) } },
+    { sort: { 'webhook.nextAttemptAt': 1 }, new: true }
+  );
+};
+
 pdfOperationSchema.statics.getOperationStats = function() {
   return this.aggregate([
     {
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A file uploaded through /upload, kept so operations can reference it by
+// documentId instead of uploading it again. Its file lives in the uploads
+// directory and is removed by the file cleanup like any other upload, so the
+// record expires at the same time.
+const storedDocumentSchema = new mongoose.Schema({
+  documentId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  originalName: String,
+  filename: String,
+  path: String,
+  size: Number,
+  mimetype: String,
+  // Images count as one page, as they do in merges
+  pageCount: Number,
+  decrypted: Boolean,
+  // The upload operation that stored it
+  operationId: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - records are removed once their file is due for cleanup
+storedDocumentSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Find live documents by ID, in the order of `documentIds`. IDs without a
+// live document are left out.
+storedDocumentSchema.statics.findLiveDocuments = async function(documentIds) {
+  const documents = await this.find({
+    documentId: { $in: documentIds },
+    expiresAt: { $gt: new Date() }
+  });
+  const byId = new Map(documents.map(document => [document.documentId, document]));
+
+  return documentIds.map(documentId => byId.get(documentId)).filter(Boolean);
+};
+
+export const StoredDocument = mongoose.model('StoredDocument', storedDocumentSchema);
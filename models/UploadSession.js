@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// A resumable upload: the file is sent in numbered chunks that are written at
+// their offset into a file in the temp directory, and becomes a stored document
+// once it is completed with a matching checksum.
+const uploadSessionSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  // Declared total size and the size of every chunk but the last, in bytes
+  size: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  chunkCount: {
+    type: Number,
+    required: true
+  },
+  path: String,
+  receivedChunks: [Number],
+  status: {
+    type: String,
+    enum: ['uploading', 'completing', 'completed'],
+    default: 'uploading'
+  },
+  // Set once completed: the stored document and its upload operation
+  documentId: String,
+  operationId: String,
+  // Moved ahead by every chunk, like the mtime the file cleanup goes by
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - abandoned sessions are removed along with their partial file
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Byte ranges received so far, merged: [{ offset, length }]
+uploadSessionSchema.methods.getReceivedRanges = function() {
+  const ranges = [];
+
+  for (const index of [...this.receivedChunks].sort((a, b) => a - b)) {
+    const offset = index * this.chunkSize;
+    const length = Math.min(this.chunkSize, this.size - offset);
+    const last = ranges[ranges.length - 1];
+
+    if (last && last.offset + last.length === offset) {
+      last.length += length;
+    } else {
+      ranges.push({ offset, length });
+    }
+  }
+
+  return ranges;
+};
+
+// Chunk indexes not received yet
+uploadSessionSchema.methods.getMissingChunks = function() {
+  const received = new Set(this.receivedChunks);
+  return Array.from({ length: this.chunkCount }, (_, index) => index).filter(index => !received.has(index));
+};
+
+// Record a written chunk. Resolves to false when the session is no longer
+// accepting chunks (completing, completed or gone).
+uploadSessionSchema.methods.recordChunk = async function(index, expiresAt) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'uploading' },
+    { $addToSet: { receivedChunks: index }, $set: { expiresAt } }
+  );
+  return result.matchedCount > 0;
+};
+
+// Take the session for completion, so it is completed only once and no chunk
+// lands while its file is checked. Resolves to the session, or null when it is
+// not uploading.
+uploadSessionSchema.statics.claimCompletion = function(uploadId) {
+  return this.findOneAndUpdate(
+    { uploadId, status: 'uploading', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'completing' } },
+    { new: true }
+  );
+};
+
+// Give a session back to the client after a completion attempt that can be retried
+uploadSessionSchema.methods.releaseCompletion = function() {
+  return this.constructor.updateOne(
+    { _id: this._id, status: 'completing' },
+    { $set: { status: 'uploading' } }
+  );
+};
+
+uploadSessionSchema.methods.markAsCompleted = function(documentId, operationId) {
+  this.status = 'completed';
+  this.documentId = documentId;
+  this.operationId = operationId;
+  this.path = undefined;
+  return this.save();
+};
+
+export const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
@@ -3,30 +3,131 @@ import {
   uploadFiles, 
   mergePdfs, 
   splitPdf, 
+  rotatePdf,
+  organizePdf,
+  watermarkPdf,
+  batesNumberPdf,
+  optimizePdf,
+  imagesToPdf,
+  imposePdf,
+  resizePdf,
+  getMetadata,
+  editMetadata,
+  getFormFields,
+  fillForm,
   getOperationStatus,
+  streamOperationStatus,
+  deleteOperation,
+  getDocument,
+  downloadDocument,
+  deleteDocument,
+  createUpload,
+  uploadChunk,
+  getUploadStatus,
+  completeUpload,
+  deleteUpload,
   downloadFile,
   getOperationHistory, 
   downloadOperationResult,
   previewOperationResult,
   bulkDownload
 } from '../controller/pdfController.js';
-import { uploadMiddleware } from '../middlewares/uploadMiddleware.js';
-import { validateMergeRequest, validateSplitRequest } from '../middlewares/validation.js';
+import { uploadMiddleware, pdfOrImageUploadMiddleware, documentUploadMiddleware } from '../middlewares/uploadMiddleware.js';
+import {
+  validateMergeRequest,
+  validateSplitRequest,
+  validateRotateRequest,
+  validateOrganizeRequest,
+  validateWatermarkRequest,
+  validateBatesRequest,
+  validateOptimizeRequest,
+  validateImagesToPdfRequest,
+  validateFormFillRequest,
+  validateImposeRequest,
+  validateResizeRequest,
+  validateMetadataEditRequest,
+  validateCallbackUrl,
+  validateUploadSessionRequest,
+  validateUploadCompleteRequest
+} from '../middlewares/validation.js';
+import { UPLOAD_CHUNK_SIZE } from '../services/uploadSessionService.js';
 
 const router = express.Router();
 
-// Upload files endpoint
-router.post('/upload', uploadMiddleware, uploadFiles);
+// Chunks of resumable uploads arrive as raw bytes of any content type
+const chunkParser = express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE });
 
-// Merge PDFs endpoint
-router.post('/merge', uploadMiddleware, validateMergeRequest, mergePdfs);
+// Upload files endpoint (stores them as documents)
+router.post('/upload', documentUploadMiddleware, uploadFiles);
+
+// Stored documents, referenced by documentIds in operation requests
+router.get('/documents/:documentId', getDocument);
+router.get('/documents/:documentId/download', downloadDocument);
+router.delete('/documents/:documentId', deleteDocument);
+
+// Resumable uploads: start, send numbered chunks, check received ranges
+// (GET or HEAD), complete with a checksum, or abort
+router.post('/uploads', validateUploadSessionRequest, createUpload);
+router.put('/uploads/:uploadId/chunks/:index', chunkParser, uploadChunk);
+router.get('/uploads/:uploadId', getUploadStatus);
+router.post('/uploads/:uploadId/complete', validateUploadCompleteRequest, completeUpload);
+router.delete('/uploads/:uploadId', deleteUpload);
+
+// Merge PDFs (and JPEG/PNG images) endpoint
+router.post('/merge', pdfOrImageUploadMiddleware, validateCallbackUrl, validateMergeRequest, mergePdfs);
 
 // Split PDF endpoint
-router.post('/split', uploadMiddleware, validateSplitRequest, splitPdf);
+router.post('/split', uploadMiddleware, validateCallbackUrl, validateSplitRequest, splitPdf);
+
+// Rotate PDF pages endpoint
+router.post('/rotate', uploadMiddleware, validateCallbackUrl, validateRotateRequest, rotatePdf);
+
+// Organize (reorder, delete, duplicate) PDF pages endpoint
+router.post('/organize', uploadMiddleware, validateCallbackUrl, validateOrganizeRequest, organizePdf);
+
+// Watermark PDF endpoint
+router.post('/watermark', uploadMiddleware, validateCallbackUrl, validateWatermarkRequest, watermarkPdf);
+
+// Bates numbering endpoint
+router.post('/bates', uploadMiddleware, validateCallbackUrl, validateBatesRequest, batesNumberPdf);
+
+// Convert JPEG/PNG images to a PDF endpoint
+router.post('/images-to-pdf', pdfOrImageUploadMiddleware, validateCallbackUrl, validateImagesToPdfRequest, imagesToPdf);
+
+// Impose (n-up handouts, booklets) PDF endpoint
+router.post('/impose', uploadMiddleware, validateCallbackUrl, validateImposeRequest, imposePdf);
+
+// Resize pages to one page size endpoint
+router.post('/resize', uploadMiddleware, validateCallbackUrl, validateResizeRequest, resizePdf);
+
+// Optimize (shrink) PDF endpoint
+router.post('/optimize', uploadMiddleware, validateCallbackUrl, validateOptimizeRequest, optimizePdf);
+
+// Read metadata of a stored document (?documentId=), a stored file (?filename=)
+// or an uploaded file
+router.get('/metadata', getMetadata);
+router.post('/metadata', uploadMiddleware, getMetadata);
+
+// Edit or strip metadata endpoint
+router.post('/metadata/edit', uploadMiddleware, validateCallbackUrl, validateMetadataEditRequest, editMetadata);
+
+// List form fields of a stored document (?documentId=), a stored file (?filename=)
+// or an uploaded file
+router.get('/forms/fields', getFormFields);
+router.post('/forms/fields', uploadMiddleware, getFormFields);
+
+// Fill (and optionally flatten) form fields endpoint
+router.post('/forms/fill', uploadMiddleware, validateCallbackUrl, validateFormFillRequest, fillForm);
 
 // Get operation status
 router.get('/status/:operationId', getOperationStatus);
 
+// Progress and final status as Server-Sent Events
+router.get('/status/:operationId/events', streamOperationStatus);
+
+// Cancel a running operation, or delete a finished one, with its files
+router.delete('/operations/:operationId', deleteOperation);
+
 // Download processed file
 router.get('/download/:filename', downloadFile);
 
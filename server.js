@@ -3,11 +3,19 @@ import app from './app.js';
 import { connectDB } from './config/database.js';
 import { config } from './config/config.js';
 import { cleanupFiles } from './utils/fileCleanup.js';
+import { recoverStaleJobs, startJobWorker } from './services/jobQueueService.js';
 import { debugApp } from './utils/debugLogger.js';
 
 // Connect to DB
 connectDB();
 
+// Process queued operations here unless separate workers (npm run worker) do
+const worker = config.runJobWorker ? startJobWorker() : null;
+
+if (worker) {
+  recoverStaleJobs().catch(error => debugApp('Job recovery failed:', error));
+}
+
 // Start server
 const server = app.listen(config.port, () => {
   debugApp(`Server running on port ${config.port}`);
@@ -25,7 +33,9 @@ setInterval(() => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   debugApp('SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
+    // Let running jobs finish; anything still queued is picked up by the next worker
+    await worker?.stop();
     debugApp('Process terminated');
     process.exit(0);
   });
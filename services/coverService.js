@@ -0,0 +1,197 @@
+import { StandardFonts, rgb } from 'pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Generated pages for merged packets: a cover listing the included documents
+// and separator pages announcing each source file.
+
+const MARGIN = 72;
+const TITLE_SIZE = 24;
+const TITLE_LINE_HEIGHT = 30;
+const MAX_TITLE_LINES = 3;
+const DATE_SIZE = 12;
+const HEADING_SIZE = 14;
+const ENTRY_SIZE = 11;
+const ENTRY_LINE_HEIGHT = 18;
+const SEPARATOR_NAME_SIZE = 20;
+
+const TEXT_COLOR = rgb(0, 0, 0);
+const MUTED_COLOR = rgb(0.4, 0.4, 0.4);
+
+// Standard fonts only cover WinAnsi; other characters would make drawText throw
+const toDrawableText = (font, text) => {
+  const supported = new Set(font.getCharacterSet());
+  return Array.from(String(text))
+    .map(char => (supported.has(char.codePointAt(0)) ? char : '?'))
+    .join('');
+};
+
+// Shorten text with an ellipsis until it fits maxWidth
+const fitText = (font, text, size, maxWidth) => {
+  if (font.widthOfTextAtSize(text, size) <= maxWidth) return text;
+
+  let fitted = text;
+  while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}...`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}...`;
+};
+
+// Break text into lines of at most maxWidth, the last one shortened if needed
+const wrapText = (font, text, size, maxWidth, maxLines) => {
+  const lines = [];
+  let current = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (!current || font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      current = candidate;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+
+  if (lines.length > maxLines) {
+    lines.splice(maxLines - 1, lines.length, lines.slice(maxLines - 1).join(' '));
+  }
+  return lines.map(line => fitText(font, line, size, maxWidth));
+};
+
+// Fonts are embedded once per document, however many pages are generated
+const embeddedFonts = new WeakMap();
+
+const embedFonts = async (pdf) => {
+  if (!embeddedFonts.has(pdf)) {
+    embeddedFonts.set(pdf, {
+      regular: await pdf.embedFont(StandardFonts.Helvetica),
+      bold: await pdf.embedFont(StandardFonts.HelveticaBold)
+    });
+  }
+  return embeddedFonts.get(pdf);
+};
+
+// Number of contents entries that fit on the first and on following cover pages
+const getEntriesPerPage = (height) => {
+  const firstListTop = height - MARGIN - MAX_TITLE_LINES * TITLE_LINE_HEIGHT - DATE_SIZE * 2 - HEADING_SIZE * 2;
+  const nextListTop = height - MARGIN - HEADING_SIZE * 2;
+
+  return {
+    first: Math.max(1, Math.floor((firstListTop - MARGIN) / ENTRY_LINE_HEIGHT)),
+    next: Math.max(1, Math.floor((nextListTop - MARGIN) / ENTRY_LINE_HEIGHT))
+  };
+};
+
+// Number of cover pages needed to list `documentCount` documents on pages of `size`
+export function getCoverPageCount(documentCount, size) {
+  const { first, next } = getEntriesPerPage(size[1]);
+  return documentCount <= first ? 1 : 1 + Math.ceil((documentCount - first) / next);
+}
+
+// Insert cover pages at the start of a document.
+// `documents` ([{ originalName, startPage }]) are listed with the page they start
+// on, which callers give in final numbering (after the cover pages).
+// `options`: title, date and size ([width, height] of the cover pages).
+// Returns the number of pages inserted.
+export async function insertCoverPages(pdf, documents, options = {}) {
+  const { title = '', date = '', size } = options;
+  const [width, height] = size;
+  const fonts = await embedFonts(pdf);
+  const textWidth = width - MARGIN * 2;
+
+  const { first, next } = getEntriesPerPage(height);
+  const pageCount = getCoverPageCount(documents.length, size);
+
+  let entryIndex = 0;
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    const page = pdf.insertPage(pageIndex, [width, height]);
+    let y = height - MARGIN;
+
+    if (pageIndex === 0) {
+      const titleLines = wrapText(fonts.bold, toDrawableText(fonts.bold, title), TITLE_SIZE, textWidth, MAX_TITLE_LINES);
+      for (const line of titleLines) {
+        y -= TITLE_SIZE;
+        page.drawText(line, { x: MARGIN, y, size: TITLE_SIZE, font: fonts.bold, color: TEXT_COLOR });
+        y -= TITLE_LINE_HEIGHT - TITLE_SIZE;
+      }
+
+      if (date) {
+        y -= DATE_SIZE;
+        const dateText = fitText(fonts.regular, toDrawableText(fonts.regular, date), DATE_SIZE, textWidth);
+        page.drawText(dateText, { x: MARGIN, y, size: DATE_SIZE, font: fonts.regular, color: MUTED_COLOR });
+      }
+
+      y = height - MARGIN - MAX_TITLE_LINES * TITLE_LINE_HEIGHT - DATE_SIZE * 2;
+    }
+
+    y -= HEADING_SIZE;
+    const heading = pageIndex === 0 ? 'Contents' : 'Contents (continued)';
+    page.drawText(heading, { x: MARGIN, y, size: HEADING_SIZE, font: fonts.bold, color: TEXT_COLOR });
+    y -= HEADING_SIZE;
+
+    const entriesOnPage = pageIndex === 0 ? first : next;
+    for (let i = 0; i < entriesOnPage && entryIndex < documents.length; i++, entryIndex++) {
+      const { originalName, startPage } = documents[entryIndex];
+      const pageLabel = `page ${startPage}`;
+      const pageLabelWidth = fonts.regular.widthOfTextAtSize(pageLabel, ENTRY_SIZE);
+      const name = fitText(
+        fonts.regular,
+        toDrawableText(fonts.regular, `${entryIndex + 1}.  ${originalName || 'Untitled'}`),
+        ENTRY_SIZE,
+        textWidth - pageLabelWidth - ENTRY_SIZE * 2
+      );
+
+      y -= ENTRY_LINE_HEIGHT;
+      page.drawText(name, { x: MARGIN, y, size: ENTRY_SIZE, font: fonts.regular, color: TEXT_COLOR });
+      page.drawText(pageLabel, {
+        x: width - MARGIN - pageLabelWidth,
+        y,
+        size: ENTRY_SIZE,
+        font: fonts.regular,
+        color: MUTED_COLOR
+      });
+    }
+  }
+
+  debugPdf(`Inserted ${pageCount} cover pages listing ${documents.length} documents`);
+  return pageCount;
+}
+
+// Insert a separator page at `index` announcing a source file.
+// `options`: position and total (for "Document 2 of 5") and size ([width, height]).
+export async function insertSeparatorPage(pdf, index, originalName, options = {}) {
+  const { position, total, size } = options;
+  const [width, height] = size;
+  const fonts = await embedFonts(pdf);
+  const page = pdf.insertPage(index, [width, height]);
+
+  const label = `Document ${position} of ${total}`;
+  const labelWidth = fonts.regular.widthOfTextAtSize(label, DATE_SIZE);
+  page.drawText(label, {
+    x: (width - labelWidth) / 2,
+    y: height / 2 + SEPARATOR_NAME_SIZE,
+    size: DATE_SIZE,
+    font: fonts.regular,
+    color: MUTED_COLOR
+  });
+
+  const nameLines = wrapText(
+    fonts.bold,
+    toDrawableText(fonts.bold, originalName || 'Untitled'),
+    SEPARATOR_NAME_SIZE,
+    width - MARGIN * 2,
+    MAX_TITLE_LINES
+  );
+  nameLines.forEach((line, lineIndex) => {
+    const lineWidth = fonts.bold.widthOfTextAtSize(line, SEPARATOR_NAME_SIZE);
+    page.drawText(line, {
+      x: (width - lineWidth) / 2,
+      y: height / 2 - SEPARATOR_NAME_SIZE - lineIndex * SEPARATOR_NAME_SIZE * 1.25,
+      size: SEPARATOR_NAME_SIZE,
+      font: fonts.bold,
+      color: TEXT_COLOR
+    });
+  });
+
+  return page;
+}
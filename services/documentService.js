@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { StoredDocument } from '../models/StoredDocument.js';
+import { validatePdfFile } from './pdfService.js';
+import { isImageFile } from './imageService.js';
+import { config } from '../config/config.js';
+import { debugUpload } from '../utils/debugLogger.js';
+
+// Stored documents: files kept from /upload that operations reference by
+// documentId. A referenced document joins the request's files after the
+// uploaded ones, so handlers process it like a fresh upload.
+
+// Name for a file stored in the uploads directory: the sanitized original
+// name with a timestamp and random suffix
+export function createUploadFilename(originalName) {
+  const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const extension = path.extname(originalName);
+  const baseName = path.basename(originalName, extension);
+  const sanitizedBaseName = baseName.replace(/[^a-zA-Z0-9\-_]/g, '_');
+
+  return `${sanitizedBaseName}-${uniqueSuffix}${extension}`;
+}
+
+// Parse the documentIds field of a request: a JSON array string as multipart
+// forms send it, an array (repeated form fields or a JSON body) or a single ID.
+// Returns an array of IDs; throws when the value has another shape.
+export function parseDocumentIds(value) {
+  if (value === undefined || value === '') return [];
+
+  let ids = value;
+  if (typeof value === 'string') {
+    ids = value.trim().startsWith('[') ? JSON.parse(value) : [value];
+  }
+
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || id.trim() === '')) {
+    throw new Error('documentIds must be a JSON array of document IDs like ["<documentId>"]');
+  }
+
+  return ids.map(id => id.trim());
+}
+
+// Store uploaded files as documents of an upload operation. PDFs are checked
+// and counted while storing; a file that cannot be read as a PDF is rejected
+// with an INVALID_PDF error naming it, before anything is stored.
+export async function storeDocuments(files, operationId) {
+  const expiresAt = new Date(Date.now() + config.tempFileLifetime * 60 * 60 * 1000);
+  const documents = [];
+
+  for (const file of files) {
+    let pageCount = 1;
+
+    if (!isImageFile(file)) {
+      const validation = await validatePdfFile(file.path);
+      if (!validation.isValid) {
+        const error = new Error(`${file.originalname} is not a readable PDF: ${validation.error}`);
+        error.code = 'INVALID_PDF';
+        throw error;
+      }
+      pageCount = validation.pageCount;
+    }
+
+    documents.push(new StoredDocument({
+      documentId: uuidv4(),
+      originalName: file.originalname,
+      filename: file.filename,
+      path: file.path,
+      size: file.size,
+      mimetype: file.mimetype,
+      pageCount,
+      decrypted: Boolean(file.decrypted),
+      operationId,
+      expiresAt
+    }));
+  }
+
+  await StoredDocument.insertMany(documents);
+  debugUpload(`Stored ${documents.length} documents for operation ${operationId}`);
+
+  return documents;
+}
+
+// Look up documents whose records are live and whose files are still there.
+// Resolves to { documents, missing } with documents in the order of `documentIds`.
+export async function findStoredDocuments(documentIds) {
+  const live = await StoredDocument.findLiveDocuments(documentIds);
+  const documents = [];
+
+  for (const document of live) {
+    try {
+      await fs.access(document.path);
+      documents.push(document);
+    } catch {
+      debugUpload(`File of document ${document.documentId} is gone`);
+    }
+  }
+
+  const found = new Set(documents.map(document => document.documentId));
+  return { documents, missing: documentIds.filter(id => !found.has(id)) };
+}
+
+// Shape a stored document like a multer upload, marked with its documentId
+export function toUploadedFile(document) {
+  return {
+    fieldname: 'documentIds',
+    originalname: document.originalName,
+    filename: document.filename,
+    path: document.path,
+    size: document.size,
+    mimetype: document.mimetype,
+    documentId: document.documentId
+  };
+}
+
+// Response entry for a stored document
+export function toDocumentSummary(document) {
+  return {
+    documentId: document.documentId,
+    originalName: document.originalName,
+    filename: document.filename,
+    size: document.size,
+    mimetype: document.mimetype,
+    pageCount: document.pageCount,
+    expiresAt: document.expiresAt
+  };
+}
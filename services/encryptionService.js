@@ -0,0 +1,101 @@
+import { PDFDocument, PDFName, PDFRawStream, PDFInvalidObject } from '@cantoo/pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Detection and removal of PDF encryption (RC4 and AES security handlers).
+// pdf-lib cannot decrypt, so encrypted uploads are decrypted once with the
+// @cantoo/pdf-lib fork and the rest of the pipeline only ever sees plain files.
+
+const ENCRYPT_KEY = Buffer.from('/Encrypt');
+
+// Error raised when an encrypted document cannot be opened
+export class PdfEncryptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PdfEncryptionError';
+    this.code = code;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+// The /Encrypt key lives in the trailer (or cross-reference stream dictionary),
+// which is never compressed, so a plain byte search rules out most files cheaply
+const mayBeEncrypted = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).includes(ENCRYPT_KEY);
+
+// Check whether PDF bytes are encrypted
+export async function isPdfEncrypted(bytes) {
+  if (!mayBeEncrypted(bytes)) return false;
+
+  const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  return pdf.isEncrypted;
+}
+
+// Drop objects that only made sense in the encrypted file: the encryption
+// dictionary and the original cross-reference and object streams
+const removeEncryptionLeftovers = (pdf, encryptRef) => {
+  if (encryptRef) {
+    pdf.context.delete(encryptRef);
+  }
+
+  for (const [ref, object] of pdf.context.enumerateIndirectObjects()) {
+    if (object instanceof PDFRawStream) {
+      const type = object.dict.get(PDFName.of('Type'));
+      if (type === PDFName.of('XRef') || type === PDFName.of('ObjStm')) {
+        pdf.context.delete(ref);
+      }
+    } else if (object instanceof PDFInvalidObject) {
+      pdf.context.delete(ref);
+    }
+  }
+};
+
+// Decrypt PDF bytes with the given password (user or owner password).
+// Documents protected only by an owner password open without one.
+// Returns { encrypted, bytes } where bytes are the unencrypted document.
+export async function decryptPdfBytes(bytes, password, fileName = 'PDF') {
+  if (!mayBeEncrypted(bytes)) {
+    return { encrypted: false, bytes };
+  }
+
+  let probe;
+  try {
+    probe = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    // Not readable at all; leave it to the PDF processing step to report
+    debugPdf(`Could not inspect ${fileName} for encryption:`, error.message);
+    return { encrypted: false, bytes };
+  }
+
+  if (!probe.isEncrypted) {
+    return { encrypted: false, bytes };
+  }
+
+  const { Encrypt: encryptRef, Info: infoRef } = probe.context.trailerInfo;
+
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(bytes, { password: password ?? '', updateMetadata: false });
+  } catch (error) {
+    if (/needs password|password incorrect/i.test(error.message)) {
+      throw password
+        ? new PdfEncryptionError(`Incorrect password for ${fileName}`, 'INVALID_PDF_PASSWORD')
+        : new PdfEncryptionError(`${fileName} is password-protected. Supply its password to process it.`, 'ENCRYPTED_PDF');
+    }
+
+    throw new PdfEncryptionError(
+      `${fileName} uses an unsupported encryption method: ${error.message}`,
+      'UNSUPPORTED_ENCRYPTION'
+    );
+  }
+
+  // The document info dictionary is decrypted but not carried over to the trailer
+  if (infoRef && !pdf.context.trailerInfo.Info) {
+    pdf.context.trailerInfo.Info = infoRef;
+  }
+  removeEncryptionLeftovers(pdf, encryptRef);
+
+  const decrypted = await pdf.save();
+  debugPdf(`Decrypted ${fileName}: ${bytes.length} -> ${decrypted.length} bytes`);
+
+  return { encrypted: true, bytes: decrypted };
+}
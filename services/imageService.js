@@ -0,0 +1,150 @@
+import {
+  PageSizes,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath
+} from 'pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Placement of JPEG and PNG images as PDF pages.
+
+export const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+// Named page sizes; "image" makes each page the size of its image
+export const IMAGE_PAGE_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'image'];
+export const IMAGE_FIT_MODES = ['fit', 'fill', 'stretch'];
+export const IMAGE_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+export const isImageFile = (file) => IMAGE_MIME_TYPES.includes(file.mimetype);
+
+// Rotation (clockwise) needed to display a JPEG upright, from its EXIF Orientation tag.
+// Phone cameras store photos sideways and rely on this tag. Mirrored
+// orientations (2, 4, 5, 7) are rare and are left as stored.
+export function readJpegRotation(bytes) {
+  const data = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (data.length < 4 || data.readUInt16BE(0) !== 0xffd8) return 0;
+
+  let offset = 2;
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+
+    // Start of scan: no more metadata segments
+    if (marker === 0xda) break;
+
+    if (marker === 0xe1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      const orientation = readExifOrientation(data, offset + 10, offset + 2 + length);
+      return { 3: 180, 6: 90, 8: 270 }[orientation] || 0;
+    }
+
+    offset += 2 + length;
+  }
+
+  return 0;
+}
+
+// Orientation value from the first IFD of a TIFF block inside an APP1 segment
+const readExifOrientation = (data, start, end) => {
+  if (end > data.length || start + 8 > end) return 1;
+
+  const littleEndian = data.toString('latin1', start, start + 2) === 'II';
+  const readUInt16 = (position) => (littleEndian ? data.readUInt16LE(position) : data.readUInt16BE(position));
+  const readUInt32 = (position) => (littleEndian ? data.readUInt32LE(position) : data.readUInt32BE(position));
+
+  const ifdOffset = start + readUInt32(start + 4);
+  if (ifdOffset + 2 > end) return 1;
+
+  const entryCount = readUInt16(ifdOffset);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > end) break;
+
+    if (readUInt16(entry) === 0x0112) {
+      return readUInt16(entry + 8);
+    }
+  }
+
+  return 1;
+};
+
+// Page width and height for an image shown at displayWidth x displayHeight
+const getPageSize = (options, displayWidth, displayHeight) => {
+  const { pageSize = 'A4', orientation = 'auto', margin = 0 } = options;
+
+  if (pageSize === 'image') {
+    return [displayWidth + margin * 2, displayHeight + margin * 2];
+  }
+
+  const [shortSide, longSide] = [...PageSizes[pageSize]].sort((a, b) => a - b);
+  const landscape = orientation === 'landscape' || (orientation === 'auto' && displayWidth > displayHeight);
+
+  return landscape ? [longSide, shortSide] : [shortSide, longSide];
+};
+
+// Add one page holding an image to a document.
+// `options`: pageSize, orientation, margin (points) and fitMode, where "fit"
+// shows the whole image, "fill" covers the area and crops the overflow and
+// "stretch" ignores the aspect ratio.
+export async function addImagePage(pdf, imageBytes, mimetype, options = {}) {
+  const { fitMode = 'fit', margin = 0 } = options;
+
+  const image = mimetype === 'image/png'
+    ? await pdf.embedPng(imageBytes)
+    : await pdf.embedJpg(imageBytes);
+  const rotation = mimetype === 'image/png' ? 0 : readJpegRotation(imageBytes);
+  const sideways = rotation === 90 || rotation === 270;
+
+  // Image size as it should appear, after applying the EXIF rotation
+  const displayWidth = sideways ? image.height : image.width;
+  const displayHeight = sideways ? image.width : image.height;
+
+  const [pageWidth, pageHeight] = getPageSize(options, displayWidth, displayHeight);
+  const page = pdf.addPage([pageWidth, pageHeight]);
+
+  const areaWidth = Math.max(1, pageWidth - margin * 2);
+  const areaHeight = Math.max(1, pageHeight - margin * 2);
+
+  let drawWidth = areaWidth;
+  let drawHeight = areaHeight;
+  if (fitMode !== 'stretch') {
+    const scaleX = areaWidth / displayWidth;
+    const scaleY = areaHeight / displayHeight;
+    const scale = fitMode === 'fill' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    drawWidth = displayWidth * scale;
+    drawHeight = displayHeight * scale;
+  }
+
+  const x = margin + (areaWidth - drawWidth) / 2;
+  const y = margin + (areaHeight - drawHeight) / 2;
+
+  // drawImage rotates counter-clockwise around the image origin, so move the
+  // origin to the corner that ends up bottom-left after the rotation
+  const origin = {
+    0: { x, y },
+    90: { x, y: y + drawHeight },
+    180: { x: x + drawWidth, y: y + drawHeight },
+    270: { x: x + drawWidth, y }
+  }[rotation];
+
+  if (fitMode === 'fill') {
+    page.pushOperators(pushGraphicsState(), rectangle(margin, margin, areaWidth, areaHeight), clip(), endPath());
+  }
+
+  page.drawImage(image, {
+    x: origin.x,
+    y: origin.y,
+    width: sideways ? drawHeight : drawWidth,
+    height: sideways ? drawWidth : drawHeight,
+    rotate: degrees(-rotation)
+  });
+
+  if (fitMode === 'fill') {
+    page.pushOperators(popGraphicsState());
+  }
+
+  debugPdf(`Added ${image.width}x${image.height} image page (${fitMode}, rotated ${rotation})`);
+  return page;
+}
@@ -0,0 +1,181 @@
+import { PDFDocument, PageSizes, degrees } from 'pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Imposition: placing several source pages on each output sheet, for n-up
+// handouts and saddle-stitched booklets.
+
+export const IMPOSE_SHEET_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'];
+
+// Grid (columns x rows on a landscape sheet) for each supported pages-per-sheet
+const NUP_GRIDS = {
+  2: [2, 1],
+  4: [2, 2],
+  6: [3, 2],
+  8: [4, 2],
+  9: [3, 3],
+  16: [4, 4]
+};
+
+export const PAGES_PER_SHEET = Object.keys(NUP_GRIDS).map(Number);
+
+// Saddle-stitch page order for a booklet of `pageCount` pages (a multiple of 4).
+// Each entry is one sheet side as [left, right] zero-based page indices.
+export function getBookletOrder(pageCount) {
+  const sides = [];
+
+  for (let sheet = 0; sheet < pageCount / 4; sheet++) {
+    sides.push([pageCount - 1 - 2 * sheet, 2 * sheet]);
+    sides.push([2 * sheet + 1, pageCount - 2 - 2 * sheet]);
+  }
+
+  return sides;
+}
+
+// Sheet dimensions and grid for the requested orientation. "auto" picks the
+// orientation in which the source pages come out largest.
+const getSheetLayout = (options, cellCount, sourceWidth, sourceHeight) => {
+  const { sheetSize = 'A4', orientation = 'auto', margin = 18, gutter = 12 } = options;
+  const [shortSide, longSide] = [...PageSizes[sheetSize]].sort((a, b) => a - b);
+  const [landscapeColumns, landscapeRows] = NUP_GRIDS[cellCount];
+
+  const layouts = {
+    landscape: { width: longSide, height: shortSide, columns: landscapeColumns, rows: landscapeRows },
+    portrait: { width: shortSide, height: longSide, columns: landscapeRows, rows: landscapeColumns }
+  };
+
+  const scaleFor = (layout) => {
+    const cellWidth = (layout.width - margin * 2 - gutter * (layout.columns - 1)) / layout.columns;
+    const cellHeight = (layout.height - margin * 2 - gutter * (layout.rows - 1)) / layout.rows;
+    return Math.min(cellWidth / sourceWidth, cellHeight / sourceHeight);
+  };
+
+  if (orientation !== 'auto') {
+    return layouts[orientation];
+  }
+
+  return scaleFor(layouts.landscape) >= scaleFor(layouts.portrait) ? layouts.landscape : layouts.portrait;
+};
+
+// Cell rectangles of a sheet, in reading order for `order` ("row" or "column")
+const getCells = (layout, options) => {
+  const { margin = 18, gutter = 12, order = 'row' } = options;
+  const { width, height, columns, rows } = layout;
+
+  const cellWidth = (width - margin * 2 - gutter * (columns - 1)) / columns;
+  const cellHeight = (height - margin * 2 - gutter * (rows - 1)) / rows;
+
+  if (cellWidth <= 0 || cellHeight <= 0) {
+    throw new Error('Margin and gutter leave no room for pages on the sheet');
+  }
+
+  const cells = [];
+  const count = columns * rows;
+
+  for (let i = 0; i < count; i++) {
+    const column = order === 'column' ? Math.floor(i / rows) : i % columns;
+    const row = order === 'column' ? i % rows : Math.floor(i / columns);
+
+    cells.push({
+      x: margin + column * (cellWidth + gutter),
+      // Rows count from the top of the sheet
+      y: height - margin - (row + 1) * cellHeight - row * gutter,
+      width: cellWidth,
+      height: cellHeight
+    });
+  }
+
+  return cells;
+};
+
+// Visible size of a source page, after its /Rotate entry
+const getVisualSize = (page) => {
+  const { width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  return rotation === 90 || rotation === 270
+    ? { width: height, height: width, rotation }
+    : { width, height, rotation };
+};
+
+// Draw an embedded page centered in a cell, scaled to fit and turned upright
+const drawInCell = (sheet, embedded, source, cell) => {
+  const scale = Math.min(cell.width / source.width, cell.height / source.height);
+  const drawWidth = source.width * scale;
+  const drawHeight = source.height * scale;
+  const x = cell.x + (cell.width - drawWidth) / 2;
+  const y = cell.y + (cell.height - drawHeight) / 2;
+  const sideways = source.rotation === 90 || source.rotation === 270;
+
+  // drawPage rotates counter-clockwise around its origin, so start from the
+  // corner that ends up bottom-left once the page is turned
+  const origin = {
+    0: { x, y },
+    90: { x, y: y + drawHeight },
+    180: { x: x + drawWidth, y: y + drawHeight },
+    270: { x: x + drawWidth, y }
+  }[source.rotation];
+
+  sheet.drawPage(embedded, {
+    x: origin.x,
+    y: origin.y,
+    width: sideways ? drawHeight : drawWidth,
+    height: sideways ? drawWidth : drawHeight,
+    rotate: degrees(-source.rotation)
+  });
+};
+
+// Impose the pages of a loaded document onto new sheets.
+// `options`: mode ("nup" or "booklet"), pagesPerSheet, sheetSize, orientation,
+// margin, gutter and order ("row" or "column"; n-up only).
+// `onSide` is awaited after each sheet side with (placedPages, totalPages), counting
+// the source pages placed so far. Resolves to { pdf, pageCount, blankPages } where
+// pageCount counts output sheet sides.
+export async function imposePages(sourcePdf, options = {}, onSide = async () => {}) {
+  const { mode = 'nup', pagesPerSheet = 2 } = options;
+
+  const sourcePages = sourcePdf.getPages();
+  const imposed = await PDFDocument.create();
+  const embeddedPages = await imposed.embedPages(
+    sourcePages,
+    sourcePages.map((page) => {
+      const box = page.getCropBox();
+      return { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height };
+    })
+  );
+  const sources = sourcePages.map(getVisualSize);
+
+  // Sheet layout follows the first page; other sizes are scaled into the same cells
+  const cellCount = mode === 'booklet' ? 2 : pagesPerSheet;
+  const layout = getSheetLayout(options, cellCount, sources[0].width, sources[0].height);
+  const cells = getCells(layout, mode === 'booklet' ? { ...options, order: 'row' } : options);
+
+  let sides;
+  let blankPages = 0;
+
+  if (mode === 'booklet') {
+    const paddedCount = Math.ceil(sourcePages.length / 4) * 4;
+    blankPages = paddedCount - sourcePages.length;
+    sides = getBookletOrder(paddedCount);
+  } else {
+    sides = [];
+    for (let i = 0; i < sourcePages.length; i += cellCount) {
+      sides.push(Array.from({ length: Math.min(cellCount, sourcePages.length - i) }, (_, j) => i + j));
+    }
+  }
+
+  let placed = 0;
+  for (const side of sides) {
+    const sheet = imposed.addPage([layout.width, layout.height]);
+
+    side.forEach((pageIndex, cellIndex) => {
+      // Indices past the end are the blank pages that pad a booklet
+      if (pageIndex < sourcePages.length) {
+        drawInCell(sheet, embeddedPages[pageIndex], sources[pageIndex], cells[cellIndex]);
+        placed++;
+      }
+    });
+    await onSide(placed, sourcePages.length);
+  }
+
+  debugPdf(`Imposed ${sourcePages.length} pages onto ${sides.length} sheet sides (${mode}, ${cellCount} per sheet)`);
+  return { pdf: imposed, pageCount: sides.length, blankPages };
+}
@@ -0,0 +1,322 @@
+import os from 'os';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { PdfOperation } from '../models/PdfOperation.js';
+import { processOperation } from './processingService.js';
+import { deliverDueWebhooks } from './webhookService.js';
+import { config } from '../config/config.js';
+import { removeRecordedFiles, cleanupOperationFiles } from '../utils/fileCleanup.js';
+import { debugQueue } from '../utils/debugLogger.js';
+
+// MongoDB-backed job queue. Operation records are the jobs: handlers queue them
+// with the options the processor needs, and workers (in the HTTP server or in
+// separate worker processes) claim them under a lease they keep renewing while
+// the job runs. A job whose worker dies is claimed again once its lease runs out.
+// Cancelling a running job sets a flag on its record that the worker checks
+// while the job runs; the PDF services stop at their next check of the signal.
+// Workers also send the completion webhooks of finished operations.
+
+// Filesystem and network errors that are worth another attempt
+const TRANSIENT_ERROR_CODES = new Set([
+  'EBUSY',
+  'EMFILE',
+  'ENFILE',
+  'EAGAIN',
+  'ENOSPC',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE'
+]);
+
+const TRANSIENT_ERROR_NAMES = new Set([
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError'
+]);
+
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+const MAX_CAUSE_DEPTH = 8;
+
+// Wakes the workers of this process when a job is queued, instead of waiting
+// for the next poll, and passes on cancellations of jobs running here
+const queueEvents = new EventEmitter();
+queueEvents.setMaxListeners(0);
+
+// Queue a new operation record. `payload` holds the processor options that are
+// not stored in the record's metadata; it is dropped once the job finishes.
+export async function queueOperation(operation, payload = {}) {
+  operation.job = {
+    payload,
+    attempts: 0,
+    maxAttempts: config.jobMaxAttempts,
+    runAt: new Date()
+  };
+
+  await operation.save();
+  queueEvents.emit('queued');
+
+  debugQueue(`Queued ${operation.operationType} operation ${operation.operationId}`);
+  return operation;
+}
+
+// Whether an error (or one of its causes) is a temporary condition rather
+// than a problem with the input
+export function isTransientError(error) {
+  for (let current = error, depth = 0; current && depth < MAX_CAUSE_DEPTH; current = current.cause, depth++) {
+    if (TRANSIENT_ERROR_CODES.has(current.code) || TRANSIENT_ERROR_NAMES.has(current.name)) {
+      return true;
+    }
+    if (typeof current.hasErrorLabel === 'function' && current.hasErrorLabel('RetryableWriteError')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Exponential backoff: the base delay after the first attempt, doubling after each further one
+const getRetryDelay = (attempts) => Math.min(config.jobRetryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+// Remove the files of a job that ran out of attempts: its uploads, its recorded
+// outputs and the outputs an interrupted attempt left behind, which are named
+// after the operation. Returns the number of recorded files removed.
+async function removeJobFiles(operation, outputFiles = []) {
+  const removed = await removeRecordedFiles([...operation.inputFiles, ...operation.outputFiles, ...outputFiles]);
+  await cleanupOperationFiles(operation.operationId);
+  return removed;
+}
+
+async function runJob(operation, workerId, leaseMs, pollInterval) {
+  const { operationId, job } = operation;
+
+  // The outcome is only saved while this worker holds the job; once another
+  // worker has claimed it, saving fails with a DocumentNotFoundError
+  operation.$where = { 'job.lockedBy': workerId };
+
+  // Claimed again after its worker died during the last allowed attempt
+  if (job.attempts > job.maxAttempts) {
+    await operation.markAsFailed(job.lastError || 'Processing was interrupted');
+    const removed = await removeJobFiles(operation);
+    debugQueue(`Operation ${operationId} ran out of attempts, removed ${removed} files`);
+    return;
+  }
+
+  const controller = new AbortController();
+  const onCancel = (cancelledId) => {
+    if (cancelledId === operationId) controller.abort();
+  };
+  queueEvents.on('cancel', onCancel);
+
+  // Another worker may have claimed the job; this run stops so it is not done twice
+  let leaseLost = false;
+  const loseLease = () => {
+    if (leaseLost) return;
+    leaseLost = true;
+    debugQueue(`Worker ${workerId} lost the lease on operation ${operationId}, stopping it`);
+    controller.abort();
+  };
+
+  const heartbeat = setInterval(() => {
+    operation.renewLease(workerId, leaseMs)
+      .then((renewed) => {
+        if (!renewed) loseLease();
+      })
+      .catch(error => debugQueue('Lease renewal failed:', error));
+  }, leaseMs / 3);
+
+  // Cancellations requested through another process only show up in the record
+  const cancelWatch = setInterval(() => {
+    operation.isCancelRequested()
+      .then((requested) => {
+        if (requested) controller.abort();
+      })
+      .catch(error => debugQueue('Cancellation check failed:', error));
+  }, pollInterval);
+
+  let outputFiles = [];
+  try {
+    outputFiles = await processOperation(operation, job.payload, controller.signal);
+
+    if (leaseLost) {
+      // Left to the worker that holds the job now
+    } else if (controller.signal.aborted || await operation.isCancelRequested()) {
+      // A cancellation that arrived during the last step still wins
+      controller.abort();
+    } else {
+      await operation.markAsCompleted(outputFiles);
+      debugQueue(`Completed ${operation.operationType} operation ${operationId}`);
+    }
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      loseLease();
+    }
+
+    // Errors from a cancelled or superseded run are the abort taking effect
+    if (leaseLost) {
+      debugQueue(`Stopped operation ${operationId} after losing its lease`);
+    } else if (controller.signal.aborted) {
+      debugQueue(`Stopped operation ${operationId} for cancellation`);
+    } else if (isTransientError(error) && job.attempts < job.maxAttempts) {
+      const delay = getRetryDelay(job.attempts);
+      debugQueue(`Attempt ${job.attempts} of operation ${operationId} failed, retrying in ${delay}ms:`, error);
+      await operation.scheduleRetry(error.message, delay);
+    } else {
+      debugQueue(`Operation ${operationId} failed:`, error);
+      await operation.markAsFailed(error.message);
+
+      if (isTransientError(error)) {
+        const removed = await removeJobFiles(operation, outputFiles);
+        debugQueue(`Operation ${operationId} ran out of attempts, removed ${removed} files`);
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+    clearInterval(cancelWatch);
+    queueEvents.off('cancel', onCancel);
+  }
+
+  // The record belongs to the other worker now; only this run's outputs are dropped
+  if (leaseLost) {
+    const removed = await removeRecordedFiles(outputFiles);
+    debugQueue(`Dropped the run of operation ${operationId}, removed ${removed} files`);
+    return;
+  }
+
+  if (controller.signal.aborted) {
+    await operation.markAsCancelled();
+    const removed = await removeRecordedFiles([...operation.inputFiles, ...outputFiles]);
+    debugQueue(`Cancelled operation ${operationId}, removed ${removed} files`);
+  }
+}
+
+// Start a worker that claims and runs queued jobs, at most `concurrency` at a time,
+// and sends due completion webhooks.
+// `options`: concurrency, pollInterval (ms) and leaseSeconds, defaulting to the config.
+// Returns { workerId, stop }; stop() stops claiming and waits for running jobs and deliveries.
+export function startJobWorker(options = {}) {
+  const {
+    concurrency = config.jobConcurrency,
+    pollInterval = config.jobPollInterval,
+    leaseSeconds = config.jobLeaseSeconds
+  } = options;
+
+  const workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+  const leaseMs = leaseSeconds * 1000;
+  const running = new Set();
+  let claiming = false;
+  let stopped = false;
+  let delivering = null;
+
+  // One delivery loop at a time; it runs until no delivery is due
+  const deliverWebhooks = () => {
+    if (delivering || stopped) return;
+
+    delivering = deliverDueWebhooks()
+      .catch(error => debugQueue('Delivering webhooks failed:', error))
+      .finally(() => {
+        delivering = null;
+      });
+  };
+
+  const claimJobs = async () => {
+    if (claiming || stopped) return;
+    claiming = true;
+
+    try {
+      while (!stopped && running.size < concurrency) {
+        const operation = await PdfOperation.claimNextJob(workerId, leaseMs);
+        if (!operation) break;
+
+        debugQueue(`Worker ${workerId} claimed ${operation.operationType} operation ${operation.operationId} (attempt ${operation.job.attempts})`);
+
+        // A failure to record the outcome leaves the lease to run out, so the job is claimed again
+        const task = runJob(operation, workerId, leaseMs, pollInterval)
+          .catch(error => debugQueue(`Could not record the outcome of operation ${operation.operationId}:`, error))
+          .finally(() => {
+            running.delete(task);
+            claimJobs();
+            deliverWebhooks();
+          });
+        running.add(task);
+      }
+    } catch (error) {
+      debugQueue('Claiming jobs failed:', error);
+    } finally {
+      claiming = false;
+    }
+  };
+
+  const poll = () => {
+    claimJobs();
+    deliverWebhooks();
+  };
+
+  const poller = setInterval(poll, pollInterval);
+  queueEvents.on('queued', claimJobs);
+  poll();
+
+  debugQueue(`Worker ${workerId} started with concurrency ${concurrency}`);
+
+  return {
+    workerId,
+    async stop() {
+      stopped = true;
+      clearInterval(poller);
+      queueEvents.off('queued', claimJobs);
+
+      await Promise.allSettled([...running, delivering]);
+      debugQueue(`Worker ${workerId} stopped`);
+    }
+  };
+}
+
+// Run at startup. Jobs left processing by a worker whose lease has run out go
+// back to the queue now; jobs with a live lease are left to their worker.
+// Operations started before the queue existed have no job to resume and are failed.
+export async function recoverStaleJobs() {
+  const now = new Date();
+
+  const requeued = await PdfOperation.updateMany(
+    { status: 'processing', 'job.leaseExpiresAt': { $lt: now } },
+    {
+      $set: { status: 'pending', 'job.runAt': now },
+      $unset: { 'job.lockedBy': '', 'job.leaseExpiresAt': '' }
+    }
+  );
+
+  const interrupted = await PdfOperation.updateMany(
+    { status: { $in: ['pending', 'processing'] }, 'job.runAt': { $exists: false } },
+    {
+      $set: {
+        status: 'failed',
+        'processing.endTime': now,
+        'processing.errorMessage': 'Processing was interrupted by a restart'
+      }
+    }
+  );
+
+  debugQueue(`Recovered ${requeued.modifiedCount} stale jobs, failed ${interrupted.modifiedCount} interrupted operations`);
+  return { requeued: requeued.modifiedCount, failed: interrupted.modifiedCount };
+}
+
+// Cancel an operation for DELETE /operations/:operationId. A pending job is
+// cancelled and its files removed right away; a running one is asked to stop
+// and its worker removes the files. Resolves to the resulting status, or null
+// when the operation has already finished.
+export async function cancelOperation(operation) {
+  const { operationId } = operation;
+
+  const cancelled = await PdfOperation.cancelPendingJob(operationId);
+  if (cancelled) {
+    const removed = await removeRecordedFiles(cancelled.inputFiles);
+    debugQueue(`Cancelled pending operation ${operationId}, removed ${removed} files`);
+    return 'cancelled';
+  }
+
+  if (await PdfOperation.requestCancellation(operationId)) {
+    queueEvents.emit('cancel', operationId);
+    debugQueue(`Requested cancellation of operation ${operationId}`);
+    return 'cancelling';
+  }
+
+  return null;
+}
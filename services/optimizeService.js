@@ -0,0 +1,178 @@
+import zlib from 'zlib';
+import crypto from 'crypto';
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFStream,
+  PDFRawStream
+} from 'pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Size optimization of loaded pdf-lib documents.
+// Merged files repeat the same fonts, images and resources once per source
+// document; this removes the copies, compresses raw streams and drops objects
+// that are no longer referenced. Callers save with object streams afterwards.
+
+const MAX_DEDUPE_PASSES = 10;
+
+// Dictionaries that are plain resources and safe to share between pages.
+// Pages, annotations, fields and outline items keep their identity.
+const SHAREABLE_DICT_TYPES = new Set(['Font', 'FontDescriptor', 'ExtGState', 'Encoding', 'Pattern', 'Shading']);
+
+// Stream types that only describe the original file layout
+const FILE_STRUCTURE_STREAM_TYPES = new Set(['XRef', 'ObjStm']);
+
+const streamType = (stream) => {
+  const type = stream.dict.get(PDFName.of('Type'));
+  return type instanceof PDFName ? type.decodeText() : null;
+};
+
+// Flate-compress streams that carry no filter at all
+const compressRawStreams = (pdf) => {
+  let compressed = 0;
+
+  for (const [ref, object] of pdf.context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.dict.has(PDFName.of('Filter'))) continue;
+    if (FILE_STRUCTURE_STREAM_TYPES.has(streamType(object))) continue;
+
+    const deflated = zlib.deflateSync(object.contents);
+    if (deflated.length >= object.contents.length) continue;
+
+    const dict = object.dict.clone(pdf.context);
+    dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    dict.delete(PDFName.of('DecodeParms'));
+    pdf.context.assign(ref, PDFRawStream.of(dict, new Uint8Array(deflated)));
+    compressed++;
+  }
+
+  return compressed;
+};
+
+// Content key for objects that may be merged with identical copies, or null
+const dedupeKey = (object) => {
+  if (object instanceof PDFRawStream) {
+    if (FILE_STRUCTURE_STREAM_TYPES.has(streamType(object))) return null;
+
+    return 'stream:' + crypto
+      .createHash('sha1')
+      .update(object.dict.toString())
+      .update(object.contents)
+      .digest('hex');
+  }
+
+  if (object instanceof PDFDict && !(object instanceof PDFStream)) {
+    const type = object.get(PDFName.of('Type'));
+    if (type instanceof PDFName && SHAREABLE_DICT_TYPES.has(type.decodeText())) {
+      return 'dict:' + object.toString();
+    }
+  }
+
+  return null;
+};
+
+// Point every reference in an object (recursively, direct objects only) at its replacement
+const rewriteReferences = (object, replacements) => {
+  const replace = (value) => (value instanceof PDFRef && replacements.get(value.tag)) || value;
+
+  if (object instanceof PDFStream) {
+    rewriteReferences(object.dict, replacements);
+  } else if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      object.set(key, replace(value));
+      rewriteReferences(value, replacements);
+    }
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      const value = object.get(i);
+      object.set(i, replace(value));
+      rewriteReferences(value, replacements);
+    }
+  }
+};
+
+// Replace identical streams and resource dictionaries with a single copy.
+// Repeats until stable, since merging font files makes their font dictionaries identical.
+const deduplicateObjects = (pdf) => {
+  let removed = 0;
+
+  for (let pass = 0; pass < MAX_DEDUPE_PASSES; pass++) {
+    const canonical = new Map();
+    const replacements = new Map();
+    const duplicates = [];
+
+    for (const [ref, object] of pdf.context.enumerateIndirectObjects()) {
+      const key = dedupeKey(object);
+      if (!key) continue;
+
+      if (canonical.has(key)) {
+        replacements.set(ref.tag, canonical.get(key));
+        duplicates.push(ref);
+      } else {
+        canonical.set(key, ref);
+      }
+    }
+
+    if (replacements.size === 0) break;
+
+    for (const [, object] of pdf.context.enumerateIndirectObjects()) {
+      rewriteReferences(object, replacements);
+    }
+    duplicates.forEach(ref => pdf.context.delete(ref));
+
+    removed += duplicates.length;
+  }
+
+  return removed;
+};
+
+// Delete every indirect object that cannot be reached from the trailer
+const removeUnusedObjects = (pdf) => {
+  const { context } = pdf;
+  const reachable = new Set();
+  const pending = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+
+  const visit = (value) => {
+    if (value instanceof PDFRef) {
+      if (!reachable.has(value.tag)) pending.push(value);
+    } else if (value instanceof PDFStream) {
+      visit(value.dict);
+    } else if (value instanceof PDFDict) {
+      for (const [, entry] of value.entries()) visit(entry);
+    } else if (value instanceof PDFArray) {
+      for (let i = 0; i < value.size(); i++) visit(value.get(i));
+    }
+  };
+
+  while (pending.length > 0) {
+    const ref = pending.pop();
+    if (reachable.has(ref.tag)) continue;
+    reachable.add(ref.tag);
+    visit(context.lookup(ref));
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.tag)) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+
+  return removed;
+};
+
+// Optimize a loaded document in place.
+// Resolves to { streamsCompressed, duplicatesRemoved, unusedRemoved }.
+export async function optimizePdfDocument(pdf) {
+  // Fonts and images embedded in this session are only written on flush
+  await pdf.flush();
+
+  const unusedRemoved = removeUnusedObjects(pdf);
+  const streamsCompressed = compressRawStreams(pdf);
+  const duplicatesRemoved = deduplicateObjects(pdf);
+
+  debugPdf(`Optimized PDF: ${streamsCompressed} streams compressed, ${duplicatesRemoved} duplicates and ${unusedRemoved} unused objects removed`);
+  return { streamsCompressed, duplicatesRemoved, unusedRemoved };
+}
@@ -0,0 +1,353 @@
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFString,
+  PDFHexString
+} from 'pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Reading and writing of PDF document outlines (bookmarks) and named destinations.
+// pdf-lib has no high-level outline API, so this walks the raw catalog objects.
+
+const MAX_OUTLINE_DEPTH = 32;
+
+const decodeText = (value) => (
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : ''
+);
+
+// Look up a key in a name tree (used for /Names /Dests)
+const lookupNameTree = (node, name, visited = new Set()) => {
+  if (!(node instanceof PDFDict) || visited.has(node)) return undefined;
+  visited.add(node);
+
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      if (decodeText(names.lookup(i)) === name) {
+        return names.lookup(i + 1);
+      }
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      const found = lookupNameTree(kids.lookup(i), name, visited);
+      if (found) return found;
+    }
+  }
+
+  return undefined;
+};
+
+// Create a resolver that maps a destination (explicit array, named destination
+// or destination dictionary) to { pageIndex, view }, or null. pageIndex is
+// zero-based; view holds the remaining entries of the explicit destination
+// (like /XYZ left top zoom or /Fit) as direct objects that can be reused in another document.
+export function createDestinationResolver(pdf) {
+  const pageIndexByRef = new Map(
+    pdf.getPages().map((page, index) => [page.ref.toString(), index])
+  );
+
+  const lookupNamedDestination = (name) => {
+    const dests = pdf.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    const fromDests = dests?.lookup(PDFName.of(name));
+    if (fromDests) return fromDests;
+
+    const names = pdf.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    const destTree = names?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    return destTree ? lookupNameTree(destTree, name) : undefined;
+  };
+
+  const resolve = (destination, depth = 0) => {
+    if (!destination || depth > 4) return null;
+
+    if (destination instanceof PDFName) {
+      return resolve(lookupNamedDestination(destination.decodeText()), depth + 1);
+    }
+
+    if (destination instanceof PDFString || destination instanceof PDFHexString) {
+      return resolve(lookupNamedDestination(destination.decodeText()), depth + 1);
+    }
+
+    if (destination instanceof PDFDict) {
+      return resolve(destination.lookup(PDFName.of('D')), depth + 1);
+    }
+
+    if (destination instanceof PDFArray && destination.size() > 0) {
+      const target = destination.get(0);
+      const pageIndex = target instanceof PDFRef ? pageIndexByRef.get(target.toString()) : undefined;
+      if (pageIndex === undefined) return null;
+
+      const view = [];
+      for (let i = 1; i < destination.size(); i++) {
+        view.push(destination.lookup(i));
+      }
+      return { pageIndex, view };
+    }
+
+    return null;
+  };
+
+  return resolve;
+}
+
+// Destination of an outline item or link annotation, from /Dest or a /GoTo action
+export function getDestination(item) {
+  const dest = item.lookup(PDFName.of('Dest'));
+  if (dest) return dest;
+
+  const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+  if (action && action.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+    return action.lookup(PDFName.of('D'));
+  }
+
+  return undefined;
+}
+
+// Explicit destination array for a page ref and a view from a target resolver.
+// A destination without view parameters keeps the viewer's position and zoom.
+export const toExplicitDestination = (context, pageRef, view = []) => (
+  context.obj([pageRef, ...(view.length > 0 ? view : ['XYZ', null, null, null])])
+);
+
+// Read the document outline as a tree of { title, pageIndex, view, depth, children }.
+// pageIndex is null for items that do not point at a page in this document.
+export function readOutline(pdf) {
+  const outlines = pdf.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  if (!outlines) return [];
+
+  const resolveTarget = createDestinationResolver(pdf);
+  const visited = new Set();
+
+  const readItems = (parent, depth) => {
+    const items = [];
+    if (depth > MAX_OUTLINE_DEPTH) return items;
+
+    let ref = parent.get(PDFName.of('First'));
+    while (ref instanceof PDFRef && !visited.has(ref.toString())) {
+      visited.add(ref.toString());
+
+      const item = pdf.context.lookup(ref);
+      if (!(item instanceof PDFDict)) break;
+
+      const target = resolveTarget(getDestination(item));
+      items.push({
+        title: decodeText(item.lookup(PDFName.of('Title'))).trim(),
+        pageIndex: target?.pageIndex ?? null,
+        view: target?.view ?? [],
+        depth,
+        children: readItems(item, depth + 1)
+      });
+
+      ref = item.get(PDFName.of('Next'));
+    }
+
+    return items;
+  };
+
+  const outline = readItems(outlines, 1);
+  debugPdf(`Read outline with ${outline.length} top-level items`);
+  return outline;
+}
+
+// Turn an outline into consecutive page sections, one per bookmark down to `maxDepth`.
+// Pages before the first bookmark become a "Front matter" section.
+// Returns [{ title, startPage, endPage }] with zero-based, inclusive page indices.
+export function getOutlineSections(outline, totalPages, maxDepth = 1) {
+  const boundaries = [];
+  const collect = (items) => {
+    for (const item of items) {
+      if (item.depth > maxDepth) continue;
+      if (item.pageIndex !== null) {
+        boundaries.push(item);
+      }
+      collect(item.children);
+    }
+  };
+  collect(outline);
+
+  // Stable sort keeps document order for bookmarks on the same page
+  boundaries.sort((a, b) => a.pageIndex - b.pageIndex);
+
+  const sections = [];
+  for (const boundary of boundaries) {
+    const previous = sections[sections.length - 1];
+    // Several bookmarks on one page: the first one names the section
+    if (previous && previous.startPage === boundary.pageIndex) continue;
+    sections.push({ title: boundary.title || `Section ${sections.length + 1}`, startPage: boundary.pageIndex });
+  }
+
+  if (sections.length > 0 && sections[0].startPage > 0) {
+    sections.unshift({ title: 'Front matter', startPage: 0 });
+  }
+
+  return sections.map((section, index) => ({
+    ...section,
+    endPage: index + 1 < sections.length ? sections[index + 1].startPage - 1 : totalPages - 1
+  }));
+}
+
+// Move outline items to new page indices. `mapPageIndex` returns the new index
+// or null; items without one are dropped and their children take their place.
+export function remapOutline(outline, mapPageIndex) {
+  return outline.flatMap((item) => {
+    const children = remapOutline(item.children, mapPageIndex);
+    const pageIndex = item.pageIndex === null ? null : mapPageIndex(item.pageIndex);
+
+    return pageIndex === null ? children : [{ ...item, pageIndex, children }];
+  });
+}
+
+// Replace the document outline with `items` ([{ title, pageIndex, children }],
+// zero-based page indices). Top-level items are shown; nested ones start collapsed.
+export function writeOutline(pdf, items) {
+  const { context } = pdf;
+  const pages = pdf.getPages();
+
+  const writeItems = (entries, parentRef, depth) => {
+    const refs = entries.map(() => context.nextRef());
+
+    entries.forEach((entry, index) => {
+      const children = depth < MAX_OUTLINE_DEPTH ? entry.children || [] : [];
+      const item = context.obj({
+        Title: PDFHexString.fromText(entry.title),
+        Parent: parentRef,
+        Dest: toExplicitDestination(context, pages[entry.pageIndex].ref, entry.view)
+      });
+
+      if (index > 0) item.set(PDFName.of('Prev'), refs[index - 1]);
+      if (index < refs.length - 1) item.set(PDFName.of('Next'), refs[index + 1]);
+
+      if (children.length > 0) {
+        const childRefs = writeItems(children, refs[index], depth + 1);
+        item.set(PDFName.of('First'), childRefs[0]);
+        item.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+        // A negative count marks the item as closed
+        item.set(PDFName.of('Count'), context.obj(-children.length));
+      }
+
+      context.assign(refs[index], item);
+    });
+
+    return refs;
+  };
+
+  if (items.length === 0) {
+    pdf.catalog.delete(PDFName.of('Outlines'));
+    return;
+  }
+
+  const outlinesRef = context.nextRef();
+  const itemRefs = writeItems(items, outlinesRef, 1);
+
+  context.assign(outlinesRef, context.obj({
+    Type: 'Outlines',
+    First: itemRefs[0],
+    Last: itemRefs[itemRefs.length - 1],
+    Count: items.length
+  }));
+  pdf.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+  debugPdf(`Wrote outline with ${items.length} top-level items`);
+}
+
+// Collect the [key, value] pairs of a name tree
+const collectNameTree = (node, pairs = [], visited = new Set()) => {
+  if (!(node instanceof PDFDict) || visited.has(node)) return pairs;
+  visited.add(node);
+
+  const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (names) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      pairs.push([names.lookup(i), names.lookup(i + 1)]);
+    }
+  }
+
+  const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+  if (kids) {
+    for (let i = 0; i < kids.size(); i++) {
+      collectNameTree(kids.lookup(i), pairs, visited);
+    }
+  }
+
+  return pairs;
+};
+
+// Read the named destinations that point at pages of this document, from the
+// catalog /Dests dictionary and the /Names /Dests tree.
+// Returns [{ key, name, pageIndex, view }] where key is the name as a PDF string.
+export function readNamedDestinations(pdf) {
+  const resolveTarget = createDestinationResolver(pdf);
+  const destinations = [];
+  const seen = new Set();
+
+  const add = (key, name, destination) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+
+    const target = resolveTarget(destination);
+    if (target) {
+      destinations.push({ key, name, ...target });
+    }
+  };
+
+  const dests = pdf.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  for (const [key] of dests?.entries() || []) {
+    const name = key.decodeText();
+    add(PDFHexString.of(Buffer.from(name, 'latin1').toString('hex')), name, dests.lookup(key));
+  }
+
+  const names = pdf.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const destTree = names?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  for (const [key, destination] of collectNameTree(destTree)) {
+    if (key instanceof PDFString || key instanceof PDFHexString) {
+      add(key, key.decodeText(), destination);
+    }
+  }
+
+  return destinations;
+}
+
+// Add named destinations ([{ key, name, pageRef, view }]) to a document's
+// /Names /Dests tree. Names that already exist keep their destination.
+// Returns the number of destinations added.
+export function addNamedDestinations(pdf, destinations) {
+  if (destinations.length === 0) return 0;
+
+  const { context, catalog } = pdf;
+
+  let names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  if (!names) {
+    names = context.obj({});
+    catalog.set(PDFName.of('Names'), context.register(names));
+  }
+
+  let destTree = names.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  if (!destTree) {
+    destTree = context.obj({});
+    names.set(PDFName.of('Dests'), context.register(destTree));
+  }
+
+  // Trees written here are a single leaf, kept sorted as name trees require
+  const entries = collectNameTree(destTree).map(([key, value]) => ({ key, name: key.decodeText(), value }));
+  const existing = new Set(entries.map(entry => entry.name));
+  let added = 0;
+
+  for (const { key, name, pageRef, view } of destinations) {
+    if (existing.has(name)) continue;
+    existing.add(name);
+
+    entries.push({ key, name, value: toExplicitDestination(context, pageRef, view) });
+    added++;
+  }
+
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  destTree.delete(PDFName.of('Kids'));
+  destTree.set(PDFName.of('Names'), context.obj(entries.flatMap(entry => [entry.key, entry.value])));
+
+  return added;
+}
@@ -1,44 +1,248 @@
-import { PDFDocument } from 'pdf-lib';
+import {
+  PDFDocument,
+  PDFPage,
+  PDFName,
+  PDFRef,
+  PDFObjectCopier,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFButton,
+  PDFSignature,
+  EncryptedPDFError,
+  degrees
+} from 'pdf-lib';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { setImmediate } from 'timers/promises';
+import { config } from '../config/config.js';
 import { debugPdf } from '../utils/debugLogger.js';
+import { resolvePageSelection, formatPageList } from '../utils/pageSelection.js';
+import { getOutlineSections, remapOutline, writeOutline } from './outlineService.js';
+import { parseByteSize, formatBytes } from '../utils/byteSize.js';
+import { applyTextWatermark, applyBatesNumbers } from './stampService.js';
+import { optimizePdfDocument } from './optimizeService.js';
+import { addImagePage, isImageFile } from './imageService.js';
+import { imposePages } from './imposeService.js';
+import { normalizePageSizes, getTargetSize } from './resizeService.js';
+import { detachDocumentStructure, attachDocumentStructure } from './structureService.js';
+import { getCoverPageCount, insertCoverPages, insertSeparatorPage } from './coverService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Merge multiple PDF files into one
-export async function mergePdfFiles(inputFiles, operationId) {
+// Merge multiple PDF files into one.
+// Each file may carry a `pages` selection (e.g. "1-2"); without one all pages are copied,
+// and a `bookmarkTitle` for its bookmark (the original name by default).
+// JPEG and PNG inputs become one page each, laid out with `options.imageOptions`.
+// `options.coverPage` (true or { title, date }) adds a cover listing the files,
+// `options.separatorPages` puts a page naming each file in front of it,
+// `options.startOnOddPage` adds blank pages so every file starts on an odd page,
+// `options.bookmarks` (on by default) adds a bookmark per file, with the file's own
+// bookmarks nested below unless `options.nestBookmarks` is false,
+// `options.normalize` resizes every page to one size (see normalizePageSizes),
+// `options.watermark` and `options.bates` stamp the merged document,
+// `options.metadata` overrides the generated title, author, subject and keywords,
+// `options.optimize` removes duplicated fonts and images from the output,
+// `options.signal` (an AbortSignal) stops the merge between pages,
+// `options.onProgress` is called with { processedPages, totalPages, currentFile }
+// before each file and after each of its pages.
+// Resolves to { path, files, addedPages } where files describes where each input
+// landed (and the Bates numbers it received) and addedPages counts generated pages.
+export async function mergePdfFiles(inputFiles, operationId, options = {}) {
   try {
     // Create a new PDF document
     const mergedPdf = await PDFDocument.create();
+    const {
+      coverPage,
+      separatorPages = false,
+      startOnOddPage = false,
+      bookmarks = true,
+      nestBookmarks = true,
+      signal,
+      onProgress = () => {}
+    } = options;
+    let fileSpans = [];
+    const fileOutlines = [];
+    let addedPages = 0;
+    const checkCancelled = () => throwIfCancelled(signal);
+    // With normalization, generated pages are made at the target size and left
+    // out of it, so they are never scaled or turned
+    const target = options.normalize && getTargetSize(options.normalize);
+    const generatedSize = target && [target.width, target.height];
+    const generatedPages = new Set();
+    const markGenerated = (start, count) => {
+      for (let index = start; index < start + count; index++) {
+        generatedPages.add(mergedPdf.getPage(index).ref);
+      }
+    };
     
     // Sort files by order if provided
     const sortedFiles = inputFiles.sort((a, b) => (a.order || 0) - (b.order || 0));
     
-    // Process each input file
+    // Load every PDF and resolve its page selection first, so the total page
+    // count is known for progress and bad selections fail before any copying
+    const sources = [];
     for (const file of sortedFiles) {
-      debugPdf(`Processing file: ${file.originalName}`);
+      await checkCancelled();
+      
+      if (isImageFile(file)) {
+        sources.push({ pageCount: 1 });
+        continue;
+      }
       
       // Read the PDF file
       const pdfBytes = await fs.readFile(file.path);
       const pdf = await PDFDocument.load(pdfBytes);
+      const structure = detachDocumentStructure(pdf);
       
-      // Get all pages from the current PDF
+      // Get the selected pages (all by default) from the current PDF
       const pageCount = pdf.getPageCount();
-      const pageIndices = Array.from({ length: pageCount }, (_, i) => i);
+      try {
+        const pageIndices = file.pages
+          ? resolvePageSelection(file.pages, pageCount).map(page => page - 1)
+          : Array.from({ length: pageCount }, (_, i) => i);
+        sources.push({ pdf, structure, pageIndices, pageCount: pageIndices.length });
+      } catch (error) {
+        throw new Error(`${file.originalName}: ${error.message}`);
+      }
+    }
+    
+    const totalPages = sources.reduce((total, source) => total + source.pageCount, 0);
+    let processedPages = 0;
+    // Count a merged page from an input file and report it
+    const pageDone = async (currentFile) => {
+      processedPages++;
+      onProgress({ processedPages, totalPages, currentFile });
+      await checkCancelled();
+    };
+    
+    // Process each input file
+    for (const [position, file] of sortedFiles.entries()) {
+      await checkCancelled();
+      onProgress({ processedPages, totalPages, currentFile: file.originalName });
+      debugPdf(`Processing file: ${file.originalName}`);
+      
+      // Separator and padding pages go in front of the file once its first page is known
+      const fileStart = mergedPdf.getPageCount();
+      // Source bookmarks, with page indices relative to the file's first page
+      let fileOutline = [];
+      
+      if (isImageFile(file)) {
+        const imageBytes = await fs.readFile(file.path);
+        try {
+          await addImagePage(mergedPdf, imageBytes, file.mimetype, options.imageOptions);
+        } catch (error) {
+          throw new Error(`${file.originalName}: ${error.message}`);
+        }
+        await pageDone(file.originalName);
+      } else {
+        const { pdf, structure, pageIndices } = sources[position];
+        // Let the source be collected once its pages are copied
+        sources[position] = null;
+        
+        // Copy pages to the merged document
+        const copiedPages = await copyPagesOneByOne(mergedPdf, pdf, pageIndices, () => pageDone(file.originalName));
+        copiedPages.forEach(page => mergedPdf.addPage(page));
+        
+        // Links, form fields and named destinations; the outline is built below
+        attachDocumentStructure(mergedPdf, structure, copiedPages, pageIndices, { outline: false });
+        
+        if (!bookmarks || nestBookmarks) {
+          // A page selected more than once gets its bookmarks at the first copy
+          const positions = new Map();
+          pageIndices.forEach((sourceIndex, position) => {
+            if (!positions.has(sourceIndex)) positions.set(sourceIndex, position);
+          });
+          fileOutline = remapOutline(structure.outline, sourceIndex => positions.get(sourceIndex) ?? null);
+        }
+        
+        debugPdf(`Added ${pageIndices.length} of ${pdf.getPageCount()} pages from ${file.originalName}`);
+      }
       
-      // Copy pages to the merged document
-      const copiedPages = await mergedPdf.copyPages(pdf, pageIndices);
+      const filePageCount = mergedPdf.getPageCount() - fileStart;
+      const insertedPages = await insertFilePreamble(mergedPdf, fileStart, file, {
+        separatorPages,
+        startOnOddPage,
+        position: position + 1,
+        total: sortedFiles.length,
+        size: generatedSize
+      });
+      markGenerated(fileStart, insertedPages);
+      addedPages += insertedPages;
       
-      // Add each copied page to the merged document
-      copiedPages.forEach(page => mergedPdf.addPage(page));
+      fileSpans.push({
+        originalName: file.originalName,
+        startPage: fileStart + insertedPages + 1,
+        pageCount: filePageCount
+      });
+      fileOutlines.push(fileOutline);
+    }
+    
+    const title = fileSpans
+      .map(span => path.basename(span.originalName || '', path.extname(span.originalName || '')))
+      .join(', ');
+    
+    // The cover goes in last, when every file's first page is known, and shifts them all
+    if (coverPage) {
+      const size = generatedSize || getVisualPageSize(mergedPdf.getPage(0));
+      const coverPageCount = getCoverPageCount(fileSpans.length, size);
+      // An even number of front pages keeps every file on an odd page
+      const frontPageCount = startOnOddPage ? coverPageCount + (coverPageCount % 2) : coverPageCount;
       
-      debugPdf(`Added ${pageCount} pages from ${file.originalName}`);
+      fileSpans = fileSpans.map(span => ({ ...span, startPage: span.startPage + frontPageCount }));
+      await insertCoverPages(mergedPdf, fileSpans, {
+        title: coverPage.title || options.metadata?.title || title,
+        date: coverPage.date ?? new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+        size
+      });
+      if (frontPageCount > coverPageCount) {
+        mergedPdf.insertPage(coverPageCount, size);
+      }
+      markGenerated(0, frontPageCount);
+      addedPages += frontPageCount;
+    }
+    
+    // One bookmark per file at its first page, with the file's own bookmarks nested
+    // below; without file bookmarks the files' own outlines follow each other
+    const toMergedOutline = (index) => remapOutline(fileOutlines[index], position => fileSpans[index].startPage - 1 + position);
+    writeOutline(mergedPdf, bookmarks
+      ? fileSpans.map((span, index) => ({
+        title: sortedFiles[index].bookmarkTitle || span.originalName || `Document ${index + 1}`,
+        pageIndex: span.startPage - 1,
+        children: toMergedOutline(index)
+      }))
+      : fileSpans.flatMap((_, index) => toMergedOutline(index)));
+    
+    // Normalize before stamping so watermarks and Bates numbers sit on the final page size
+    if (options.normalize) {
+      await normalizePageSizes(mergedPdf, { ...options.normalize, skipPages: generatedPages }, checkCancelled);
     }
     
+    if (options.watermark) {
+      const stampedPages = await applyTextWatermark(mergedPdf, options.watermark, checkCancelled);
+      debugPdf(`Watermarked ${stampedPages} merged pages`);
+    }
+    
+    // Give the merged document a title and our producer instead of pdf-lib's defaults
+    applyDocumentInfo(mergedPdf, {
+      title,
+      creator: config.pdfProducer,
+      producer: config.pdfProducer,
+      ...options.metadata
+    });
+    
+    // Bates numbers run on across all files of the merge
+    const files = options.bates
+      ? await applyBatesNumbers(mergedPdf, options.bates, fileSpans, checkCancelled)
+      : fileSpans;
+    
     // Save the merged PDF
-    const mergedPdfBytes = await mergedPdf.save();
+    await checkCancelled();
+    const mergedPdfBytes = await savePdfDocument(mergedPdf, options.optimize);
     
     // Create output path
     const processedDir = path.join(__dirname, '..', 'processed');
@@ -51,76 +255,106 @@ export async function mergePdfFiles(inputFiles, operationId) {
     await fs.writeFile(outputPath, mergedPdfBytes);
     
     debugPdf(`Merge completed: ${outputPath}`);
-    return outputPath;
+    return { path: outputPath, files, addedPages };
     
   } catch (error) {
     debugPdf('Error merging PDFs:', error);
-    throw new Error(`Failed to merge PDFs: ${error.message}`);
+    throw new Error(`Failed to merge PDFs: ${error.message}`, { cause: error });
   }
 }
 
-// Split a PDF file based on various criteria
+// Split a PDF file based on various criteria.
+// With `options.optimize` every output is optimized before it is written;
+// an aborted `options.signal` stops between pages and removes the written outputs.
+// `options.onProgress` is called with { processedPages, totalPages } after each copied page.
+// Resolves to one { path, pageRange, pageCount, title? } entry per output file.
 export async function splitPdfFile(inputPath, operationId, options = {}) {
+  const outputPaths = [];
+
   try {
-    const { splitType = 'pages', pageRanges = [], pagesPerFile = 1 } = options;
+    const {
+      splitType = 'pages',
+      pageRanges = [],
+      pagesPerFile = 1,
+      bookmarkDepth = 1,
+      maxBytes,
+      optimize = false,
+      signal,
+      onProgress = () => {}
+    } = options;
     
     // Read the input PDF
     const pdfBytes = await fs.readFile(inputPath);
     const pdf = await PDFDocument.load(pdfBytes);
     const totalPages = pdf.getPageCount();
+    const structure = detachDocumentStructure(pdf);
     
     debugPdf(`Splitting PDF with ${totalPages} pages using ${splitType} method`);
     
+    const checkCancelled = () => throwIfCancelled(signal);
+    
+    // Pages count once copied into an output. Byte-size splits copy spans
+    // several times while measuring them, so they count each written output.
+    let processedPages = 0;
+    const reportPages = (count, progressTotal = totalPages) => {
+      processedPages += count;
+      onProgress({ processedPages, totalPages: progressTotal });
+    };
+    const onPageCopied = (progressTotal) => async () => {
+      reportPages(1, progressTotal);
+      await checkCancelled();
+    };
+    
     const processedDir = path.join(__dirname, '..', 'processed');
     await fs.mkdir(processedDir, { recursive: true });
     
-    const outputPaths = [];
-    
     switch (splitType) {
       case 'pages':
         // Split by individual pages
         for (let i = 0; i < totalPages; i++) {
-          const newPdf = await PDFDocument.create();
-          const [copiedPage] = await newPdf.copyPages(pdf, [i]);
-          newPdf.addPage(copiedPage);
+          await checkCancelled();
+          const newPdf = await copyPagesToNewDocument(pdf, structure, [i], onPageCopied());
           
-          const pdfBytes = await newPdf.save();
+          const pdfBytes = await savePdfDocument(newPdf, optimize);
           const outputFileName = `split_${operationId}_page_${i + 1}_${Date.now()}.pdf`;
           const outputPath = path.join(processedDir, outputFileName);
           
           await fs.writeFile(outputPath, pdfBytes);
-          outputPaths.push(outputPath);
+          outputPaths.push({ path: outputPath, pageRange: `${i + 1}`, pageCount: 1 });
         }
         break;
         
-      case 'range':
-        // Split by page ranges
-        if (pageRanges.length === 0) {
+      case 'range': {
+        // Split by page selections, one output file per selection
+        const selections = Array.isArray(pageRanges) ? pageRanges : [pageRanges].filter(Boolean);
+        if (selections.length === 0) {
           throw new Error('Page ranges must be provided for range splitting');
         }
         
-        for (let rangeIndex = 0; rangeIndex < pageRanges.length; rangeIndex++) {
-          const range = pageRanges[rangeIndex];
-          const { startPage, endPage } = parsePageRange(range, totalPages);
-          
-          const newPdf = await PDFDocument.create();
-          const pageIndices = [];
-          
-          for (let i = startPage - 1; i < endPage; i++) {
-            pageIndices.push(i);
-          }
+        // Selections may overlap, so progress counts the pages of all outputs
+        const selectedPages = selections.map(selection => resolvePageSelection(selection, totalPages));
+        const selectedTotal = selectedPages.reduce((total, pages) => total + pages.length, 0);
+        
+        for (let rangeIndex = 0; rangeIndex < selections.length; rangeIndex++) {
+          await checkCancelled();
+          const pages = selectedPages[rangeIndex];
+          const pageIndices = pages.map(page => page - 1);
           
-          const copiedPages = await newPdf.copyPages(pdf, pageIndices);
-          copiedPages.forEach(page => newPdf.addPage(page));
+          const newPdf = await copyPagesToNewDocument(pdf, structure, pageIndices, onPageCopied(selectedTotal));
           
-          const pdfBytes = await newPdf.save();
-          const outputFileName = `split_${operationId}_range_${startPage}-${endPage}_${Date.now()}.pdf`;
+          const pdfBytes = await savePdfDocument(newPdf, optimize);
+          const outputFileName = `split_${operationId}_range_${rangeIndex + 1}_${Date.now()}.pdf`;
           const outputPath = path.join(processedDir, outputFileName);
           
           await fs.writeFile(outputPath, pdfBytes);
-          outputPaths.push(outputPath);
+          outputPaths.push({
+            path: outputPath,
+            pageRange: formatPageList(pages),
+            pageCount: pageIndices.length
+          });
         }
         break;
+      }
         
       case 'size':
         // Split by number of pages per file
@@ -128,28 +362,95 @@ export async function splitPdfFile(inputPath, operationId, options = {}) {
         const numberOfFiles = Math.ceil(totalPages / validPagesPerFile);
         
         for (let fileIndex = 0; fileIndex < numberOfFiles; fileIndex++) {
+          await checkCancelled();
           const startPage = fileIndex * validPagesPerFile;
           const endPage = Math.min(startPage + validPagesPerFile, totalPages);
           
-          const newPdf = await PDFDocument.create();
           const pageIndices = [];
           
           for (let i = startPage; i < endPage; i++) {
             pageIndices.push(i);
           }
           
-          const copiedPages = await newPdf.copyPages(pdf, pageIndices);
-          copiedPages.forEach(page => newPdf.addPage(page));
+          const newPdf = await copyPagesToNewDocument(pdf, structure, pageIndices, onPageCopied());
           
-          const pdfBytes = await newPdf.save();
+          const pdfBytes = await savePdfDocument(newPdf, optimize);
           const outputFileName = `split_${operationId}_part_${fileIndex + 1}_${Date.now()}.pdf`;
           const outputPath = path.join(processedDir, outputFileName);
           
           await fs.writeFile(outputPath, pdfBytes);
-          outputPaths.push(outputPath);
+          outputPaths.push({
+            path: outputPath,
+            pageRange: startPage + 1 === endPage ? `${endPage}` : `${startPage + 1}-${endPage}`,
+            pageCount: pageIndices.length
+          });
         }
         break;
         
+      case 'bookmarks': {
+        // Split at bookmarks down to the requested outline depth
+        const sections = getOutlineSections(structure.outline, totalPages, Math.max(1, parseInt(bookmarkDepth) || 1));
+        if (sections.length === 0) {
+          throw new Error('PDF has no bookmarks pointing at its pages to split by');
+        }
+        
+        for (let sectionIndex = 0; sectionIndex < sections.length; sectionIndex++) {
+          await checkCancelled();
+          const { title, startPage, endPage } = sections[sectionIndex];
+          const pageIndices = [];
+          
+          for (let i = startPage; i <= endPage; i++) {
+            pageIndices.push(i);
+          }
+          
+          const newPdf = await copyPagesToNewDocument(pdf, structure, pageIndices, onPageCopied());
+          newPdf.setTitle(title);
+          
+          const pdfBytes = await savePdfDocument(newPdf, optimize);
+          const outputFileName = `split_${operationId}_${sectionIndex + 1}_${toFileSlug(title)}_${Date.now()}.pdf`;
+          const outputPath = path.join(processedDir, outputFileName);
+          
+          await fs.writeFile(outputPath, pdfBytes);
+          outputPaths.push({
+            path: outputPath,
+            title,
+            pageRange: formatPageList(pageIndices.map(i => i + 1)),
+            pageCount: pageIndices.length
+          });
+        }
+        break;
+      }
+        
+      case 'bytes': {
+        // Pack consecutive pages greedily so every output stays under maxBytes
+        const limit = parseByteSize(maxBytes);
+        if (!limit) {
+          throw new Error('maxBytes must be provided for byte-size splitting');
+        }
+        
+        let startPage = 0;
+        let partIndex = 0;
+        while (startPage < totalPages) {
+          await checkCancelled();
+          const { endPage, pdfBytes } = await findLargestChunk(pdf, structure, startPage, totalPages, limit, optimize, checkCancelled);
+          
+          partIndex++;
+          const outputFileName = `split_${operationId}_part_${partIndex}_${Date.now()}.pdf`;
+          const outputPath = path.join(processedDir, outputFileName);
+          
+          await fs.writeFile(outputPath, pdfBytes);
+          outputPaths.push({
+            path: outputPath,
+            pageRange: startPage === endPage ? `${startPage + 1}` : `${startPage + 1}-${endPage + 1}`,
+            pageCount: endPage - startPage + 1
+          });
+          reportPages(endPage - startPage + 1);
+          
+          startPage = endPage + 1;
+        }
+        break;
+      }
+        
       default:
         throw new Error(`Unsupported split type: ${splitType}`);
     }
@@ -159,30 +460,458 @@ export async function splitPdfFile(inputPath, operationId, options = {}) {
     
   } catch (error) {
     debugPdf('Error splitting PDF:', error);
-    throw new Error(`Failed to split PDF: ${error.message}`);
+    
+    // Don't leave a partial set of outputs behind
+    await Promise.all(outputPaths.map(output => fs.unlink(output.path).catch(() => {})));
+    throw new Error(`Failed to split PDF: ${error.message}`, { cause: error });
   }
 }
 
-// Parse page range string (e.g., "1-5", "3", "7-10")
-function parsePageRange(range, totalPages) {
-  const rangeStr = range.toString().trim();
-  
-  if (rangeStr.includes('-')) {
-    const [start, end] = rangeStr.split('-').map(num => parseInt(num.trim()));
-    
-    if (isNaN(start) || isNaN(end) || start < 1 || end > totalPages || start > end) {
-      throw new Error(`Invalid page range: ${range}. Pages must be between 1 and ${totalPages}`);
+// Convert JPEG and PNG images into one PDF, one page per image in the given order.
+// `options`: pageSize, orientation, margin and fitMode (see addImagePage), a
+// `signal` that stops the conversion between images and `onProgress`, called
+// after each image.
+export async function imagesToPdfFile(imageFiles, operationId, options = {}) {
+  try {
+    const { signal, onProgress = () => {}, ...layout } = options;
+    const pdf = await PDFDocument.create();
+
+    for (const [index, file] of imageFiles.entries()) {
+      const imageBytes = await fs.readFile(file.path);
+      try {
+        await addImagePage(pdf, imageBytes, file.mimetype, layout);
+      } catch (error) {
+        throw new Error(`${file.originalName}: ${error.message}`);
+      }
+      onProgress({ processedPages: index + 1, totalPages: imageFiles.length, currentFile: file.originalName });
+      await throwIfCancelled(signal);
     }
-    
-    return { startPage: start, endPage: end };
-  } else {
-    const pageNum = parseInt(rangeStr);
-    
-    if (isNaN(pageNum) || pageNum < 1 || pageNum > totalPages) {
-      throw new Error(`Invalid page number: ${range}. Pages must be between 1 and ${totalPages}`);
+
+    applyDocumentInfo(pdf, {
+      title: imageFiles.map(file => path.basename(file.originalName || '', path.extname(file.originalName || ''))).join(', '),
+      creator: config.pdfProducer,
+      producer: config.pdfProducer
+    });
+
+    const convertedPdfBytes = await pdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `images_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, convertedPdfBytes);
+
+    debugPdf(`Image conversion completed: ${outputPath}`);
+    return { path: outputPath, pageCount: pdf.getPageCount() };
+
+  } catch (error) {
+    debugPdf('Error converting images to PDF:', error);
+    throw new Error(`Failed to convert images to PDF: ${error.message}`, { cause: error });
+  }
+}
+
+// Impose a PDF file: n-up handouts or a saddle-stitched booklet (see imposePages).
+// `options.onProgress` is called after each sheet side and an aborted
+// `options.signal` stops before the next. Resolves to { path, pageCount, blankPages }.
+export async function imposePdfFile(inputPath, operationId, options = {}) {
+  try {
+    const { signal, onProgress, ...layout } = options;
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes);
+
+    const { pdf: imposedPdf, pageCount, blankPages } = await imposePages(pdf, layout, trackPages({ signal, onProgress }));
+
+    applyDocumentInfo(imposedPdf, {
+      title: pdf.getTitle() || '',
+      creator: config.pdfProducer,
+      producer: config.pdfProducer
+    });
+
+    const imposedPdfBytes = await imposedPdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `imposed_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, imposedPdfBytes);
+
+    debugPdf(`Imposition completed: ${outputPath}`);
+    return { path: outputPath, pageCount, blankPages };
+
+  } catch (error) {
+    debugPdf('Error imposing PDF:', error);
+    throw new Error(`Failed to impose PDF: ${error.message}`, { cause: error });
+  }
+}
+
+// Resize every page of a PDF file to one size, scaling content to fit (see normalizePageSizes).
+// `options.onProgress` is called after each page and an aborted `options.signal`
+// stops before the next. Resolves to { path, resizedPages }.
+export async function resizePdfFile(inputPath, operationId, options = {}) {
+  try {
+    const { signal, onProgress, ...size } = options;
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes);
+
+    const resizedPages = await normalizePageSizes(pdf, size, trackPages({ signal, onProgress }));
+
+    const resizedPdfBytes = await pdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `resized_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, resizedPdfBytes);
+
+    debugPdf(`Resize completed: ${outputPath}`);
+    return { path: outputPath, resizedPages };
+
+  } catch (error) {
+    debugPdf('Error resizing PDF:', error);
+    throw new Error(`Failed to resize PDF: ${error.message}`, { cause: error });
+  }
+}
+
+// Stamp watermark text on the pages of a PDF file.
+// `options.onProgress` is called after each page and an aborted `options.signal`
+// stops before the next.
+export async function watermarkPdfFile(inputPath, operationId, options = {}) {
+  try {
+    const { signal, onProgress, ...watermark } = options;
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes);
+
+    const stampedPages = await applyTextWatermark(pdf, watermark, trackPages({ signal, onProgress }));
+    debugPdf(`Watermarked ${stampedPages} of ${pdf.getPageCount()} pages`);
+
+    const watermarkedPdfBytes = await pdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `watermarked_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, watermarkedPdfBytes);
+
+    debugPdf(`Watermark completed: ${outputPath}`);
+    return outputPath;
+
+  } catch (error) {
+    debugPdf('Error watermarking PDF:', error);
+    throw new Error(`Failed to watermark PDF: ${error.message}`, { cause: error });
+  }
+}
+
+// Stamp Bates numbers on every page of a PDF file.
+// `options.onProgress` is called after each page and an aborted `options.signal`
+// stops before the next. Resolves to { path, files } with the first and last number assigned.
+export async function batesNumberPdfFile(inputPath, operationId, options = {}, originalName = '') {
+  try {
+    const { signal, onProgress, ...bates } = options;
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes);
+
+    const files = await applyBatesNumbers(pdf, bates, [
+      { originalName, startPage: 1, pageCount: pdf.getPageCount() }
+    ], trackPages({ signal, onProgress }));
+
+    const numberedPdfBytes = await pdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `numbered_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, numberedPdfBytes);
+
+    debugPdf(`Bates numbering completed: ${outputPath}`);
+    return { path: outputPath, files };
+
+  } catch (error) {
+    debugPdf('Error numbering PDF:', error);
+    throw new Error(`Failed to number PDF: ${error.message}`, { cause: error });
+  }
+}
+
+// Stop a page loop once `signal` is aborted. Aborts are delivered by timers and
+// events, so the loop first yields to let a pending one land.
+async function throwIfCancelled(signal) {
+  if (!signal) return;
+  await setImmediate();
+  signal.throwIfAborted();
+}
+
+// Page loop callback of a single-file operation: (processedPages, totalPages)
+// are reported through `onProgress`, then the loop stops if `signal` is aborted
+function trackPages({ signal, onProgress = () => {} }) {
+  return async (processedPages, totalPages) => {
+    onProgress({ processedPages, totalPages });
+    await throwIfCancelled(signal);
+  };
+}
+
+// Copy pages of `sourcePdf` into `pdf` one at a time, awaiting `onPage` after
+// each with (copiedPages, totalPages).
+// Like copyPages, a single copier serves all pages, so the fonts and images they
+// share are copied once. Resolves to the copies, not yet added to `pdf`.
+async function copyPagesOneByOne(pdf, sourcePdf, pageIndices, onPage = async () => {}) {
+  await sourcePdf.flush();
+  const copier = PDFObjectCopier.for(sourcePdf.context, pdf.context);
+  const sourcePages = sourcePdf.getPages();
+  const copiedPages = [];
+
+  for (const pageIndex of pageIndices) {
+    const node = copier.copy(sourcePages[pageIndex].node);
+    copiedPages.push(PDFPage.of(node, pdf.context.register(node), pdf));
+    await onPage(copiedPages.length, pageIndices.length);
+  }
+
+  return copiedPages;
+}
+
+// New document holding copies of source pages, with the source's outline, named
+// destinations, links and form fields carried over (see attachDocumentStructure).
+// `onPage` is awaited after each copied page (see copyPagesOneByOne).
+async function copyPagesToNewDocument(pdf, structure, pageIndices, onPage) {
+  const newPdf = await PDFDocument.create();
+  const copiedPages = await copyPagesOneByOne(newPdf, pdf, pageIndices, onPage);
+  copiedPages.forEach(page => newPdf.addPage(page));
+  attachDocumentStructure(newPdf, structure, copiedPages, pageIndices);
+  return newPdf;
+}
+
+// Visible [width, height] of a page, after its /Rotate entry
+function getVisualPageSize(page) {
+  const { width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  return rotation === 90 || rotation === 270 ? [height, width] : [width, height];
+}
+
+// Insert the pages that precede a merged file starting at `index`: its separator
+// page and the blank pages that keep it (and the separator) on odd pages. They
+// take the size of the file's first page unless `options.size` is given.
+// Returns the number of pages inserted.
+async function insertFilePreamble(pdf, index, file, options = {}) {
+  const { separatorPages, startOnOddPage, position, total } = options;
+  const size = options.size || getVisualPageSize(pdf.getPage(index));
+  let inserted = 0;
+
+  // Page numbers are 1-based, so an odd index is an even page number
+  const padToOddPage = () => {
+    if (startOnOddPage && (index + inserted) % 2 === 1) {
+      pdf.insertPage(index + inserted, size);
+      inserted++;
     }
-    
-    return { startPage: pageNum, endPage: pageNum };
+  };
+
+  if (separatorPages) {
+    padToOddPage();
+    await insertSeparatorPage(pdf, index + inserted, file.originalName, { position, total, size });
+    inserted++;
+  }
+  padToOddPage();
+
+  return inserted;
+}
+
+// Serialize a document with object streams, running the size optimizer first when requested
+async function savePdfDocument(pdf, optimize = false) {
+  if (optimize) {
+    await optimizePdfDocument(pdf);
+  }
+
+  return pdf.save({ useObjectStreams: true });
+}
+
+// Save pages startPage..endPage (zero-based, inclusive) of a PDF as a new document
+async function savePageSpan(pdf, structure, startPage, endPage, optimize = false, onPage) {
+  const pageIndices = Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage + i);
+  const newPdf = await copyPagesToNewDocument(pdf, structure, pageIndices, onPage);
+  return savePdfDocument(newPdf, optimize);
+}
+
+// Find the longest run of pages from startPage whose saved size fits in limit.
+// Output size is not additive across pages (shared fonts and images), so
+// candidate spans are measured: grow exponentially, then binary search.
+async function findLargestChunk(pdf, structure, startPage, totalPages, limit, optimize = false, onPage) {
+  let pdfBytes = await savePageSpan(pdf, structure, startPage, startPage, optimize, onPage);
+  if (pdfBytes.length > limit) {
+    throw new Error(
+      `Page ${startPage + 1} alone is ${formatBytes(pdfBytes.length)}, which exceeds the maxBytes limit of ${formatBytes(limit)}`
+    );
+  }
+
+  let endPage = startPage;
+  let tooLargeEnd = null;
+  let step = 1;
+
+  while (endPage < totalPages - 1) {
+    const candidateEnd = Math.min(endPage + step, totalPages - 1);
+    const candidateBytes = await savePageSpan(pdf, structure, startPage, candidateEnd, optimize, onPage);
+
+    if (candidateBytes.length > limit) {
+      tooLargeEnd = candidateEnd;
+      break;
+    }
+
+    endPage = candidateEnd;
+    pdfBytes = candidateBytes;
+    step *= 2;
+  }
+
+  if (tooLargeEnd !== null) {
+    let low = endPage + 1;
+    let high = tooLargeEnd - 1;
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      const candidateBytes = await savePageSpan(pdf, structure, startPage, middle, optimize, onPage);
+
+      if (candidateBytes.length <= limit) {
+        endPage = middle;
+        pdfBytes = candidateBytes;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+  }
+
+  debugPdf(`Chunk ${startPage + 1}-${endPage + 1}: ${formatBytes(pdfBytes.length)}`);
+  return { endPage, pdfBytes };
+}
+
+// Short filesystem-safe version of a title for output file names
+function toFileSlug(title) {
+  return title
+    .normalize('NFKD')
+    .replace(/[^a-zA-Z0-9\-_ ]/g, '')
+    .trim()
+    .replace(/\s+/g, '_')
+    .slice(0, 50) || 'section';
+}
+
+// Rotate pages of a PDF file.
+// `rotations` maps page selections to clockwise angles, e.g. { "1-3": 90, "7": 180 }.
+// Angles are added to each page's existing rotation.
+// `options.onProgress` is called after each rotated page and an aborted
+// `options.signal` stops before the next.
+export async function rotatePdfFile(inputPath, operationId, rotations = {}, options = {}) {
+  try {
+    const pageDone = trackPages(options);
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes);
+    const totalPages = pdf.getPageCount();
+    const pages = pdf.getPages();
+
+    const entries = Object.entries(rotations);
+    if (entries.length === 0) {
+      throw new Error('At least one rotation instruction must be provided');
+    }
+
+    // Resolve every range first so that an invalid range fails before any change
+    const pageAngles = new Map();
+    for (const [range, angle] of entries) {
+      const normalizedAngle = parseInt(angle);
+      if (isNaN(normalizedAngle) || normalizedAngle % 90 !== 0) {
+        throw new Error(`Invalid rotation angle for ${range}: ${angle}. Angle must be a multiple of 90`);
+      }
+
+      for (const page of new Set(resolvePageSelection(range, totalPages))) {
+        pageAngles.set(page - 1, (pageAngles.get(page - 1) || 0) + normalizedAngle);
+      }
+    }
+
+    let rotatedPages = 0;
+    for (const [pageIndex, angle] of pageAngles) {
+      const page = pages[pageIndex];
+      const newAngle = (((page.getRotation().angle + angle) % 360) + 360) % 360;
+      page.setRotation(degrees(newAngle));
+      await pageDone(++rotatedPages, pageAngles.size);
+    }
+
+    debugPdf(`Rotated ${pageAngles.size} of ${totalPages} pages`);
+
+    const rotatedPdfBytes = await pdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `rotated_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, rotatedPdfBytes);
+
+    debugPdf(`Rotation completed: ${outputPath}`);
+    return outputPath;
+
+  } catch (error) {
+    debugPdf('Error rotating PDF:', error);
+    throw new Error(`Failed to rotate PDF: ${error.message}`, { cause: error });
+  }
+}
+
+// Organize pages of a PDF into a single document.
+// `pageOrder` is a page selection giving the explicit sequence (e.g. "5,1,2,2,9"),
+// so pages can be reordered and duplicated; pages selected by `removePages` are dropped.
+// Bookmarks, links and form fields follow their pages like in split.
+// `options.onProgress` is called after each copied page and an aborted
+// `options.signal` stops before the next.
+export async function organizePdfFile(inputPath, operationId, options = {}) {
+  try {
+    const { pageOrder = '', removePages = '', signal, onProgress } = options;
+
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes);
+    const totalPages = pdf.getPageCount();
+    const structure = detachDocumentStructure(pdf);
+
+    // Without an explicit order, keep the original page sequence
+    let pageIndices = pageOrder
+      ? resolvePageSelection(pageOrder, totalPages).map(page => page - 1)
+      : Array.from({ length: totalPages }, (_, i) => i);
+
+    if (removePages) {
+      const removed = new Set(resolvePageSelection(removePages, totalPages).map(page => page - 1));
+      pageIndices = pageIndices.filter(index => !removed.has(index));
+    }
+
+    if (pageIndices.length === 0) {
+      throw new Error('The resulting document would have no pages');
+    }
+
+    debugPdf(`Organizing PDF: ${totalPages} pages in, ${pageIndices.length} pages out`);
+
+    const newPdf = await copyPagesToNewDocument(pdf, structure, pageIndices, trackPages({ signal, onProgress }));
+
+    const organizedPdfBytes = await newPdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `organized_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, organizedPdfBytes);
+
+    debugPdf(`Organize completed: ${outputPath}`);
+    return {
+      path: outputPath,
+      totalPages,
+      pageSequence: pageIndices.map(index => index + 1)
+    };
+
+  } catch (error) {
+    debugPdf('Error organizing PDF:', error);
+    throw new Error(`Failed to organize PDF: ${error.message}`, { cause: error });
   }
 }
 
@@ -190,30 +919,335 @@ function parsePageRange(range, totalPages) {
 export async function getPdfMetadata(filePath) {
   try {
     const pdfBytes = await fs.readFile(filePath);
-    const pdf = await PDFDocument.load(pdfBytes);
+    // Don't let pdf-lib stamp its own producer over the values we report
+    const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
     
     const pageCount = pdf.getPageCount();
     const title = pdf.getTitle() || '';
     const author = pdf.getAuthor() || '';
     const subject = pdf.getSubject() || '';
+    const keywords = pdf.getKeywords() || '';
     const creator = pdf.getCreator() || '';
     const producer = pdf.getProducer() || '';
     const creationDate = pdf.getCreationDate() || null;
     const modificationDate = pdf.getModificationDate() || null;
+    const pageSizes = pdf.getPages().map((page, index) => {
+      const { width, height } = page.getSize();
+      return { page: index + 1, width, height, rotation: page.getRotation().angle };
+    });
     
     return {
       pageCount,
       title,
       author,
       subject,
+      keywords,
       creator,
       producer,
       creationDate,
-      modificationDate
+      modificationDate,
+      pageSizes,
+      fileSize: pdfBytes.length
     };
   } catch (error) {
-    debug('Error reading PDF metadata:', error);
-    throw new Error(`Failed to read PDF metadata: ${error.message}`);
+    debugPdf('Error reading PDF metadata:', error);
+    throw new Error(`Failed to read PDF metadata: ${error.message}`, { cause: error });
+  }
+}
+
+// Write document information (title, author, ...) to a PDF file.
+// With `stripAll`, every existing metadata entry is removed first.
+// `options.onProgress` is called after each stripped page and once the document
+// is ready to save; an aborted `options.signal` stops at either.
+export async function editPdfMetadata(inputPath, operationId, options = {}) {
+  try {
+    const { stripAll = false, signal, onProgress, ...info } = options;
+    const pageDone = trackPages({ signal, onProgress });
+
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+
+    if (stripAll) {
+      await stripDocumentMetadata(pdf, pageDone);
+    }
+
+    applyDocumentInfo(pdf, info);
+    await pageDone(pdf.getPageCount(), pdf.getPageCount());
+
+    const editedPdfBytes = await pdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `metadata_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, editedPdfBytes);
+
+    debugPdf(`Metadata edit completed: ${outputPath}`);
+    return outputPath;
+
+  } catch (error) {
+    debugPdf('Error editing PDF metadata:', error);
+    throw new Error(`Failed to edit PDF metadata: ${error.message}`, { cause: error });
+  }
+}
+
+const INFO_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer',
+  creationDate: 'CreationDate',
+  modificationDate: 'ModDate'
+};
+
+// Set document information fields. Undefined fields are left alone,
+// null or empty values remove the field.
+function applyDocumentInfo(pdf, info = {}) {
+  const changed = Object.keys(INFO_FIELDS).filter(field => info[field] !== undefined);
+  if (changed.length === 0) return;
+
+  for (const field of changed) {
+    const value = info[field];
+
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      pdf.getInfoDict().delete(PDFName.of(INFO_FIELDS[field]));
+      continue;
+    }
+
+    switch (field) {
+      case 'title': pdf.setTitle(value); break;
+      case 'author': pdf.setAuthor(value); break;
+      case 'subject': pdf.setSubject(value); break;
+      case 'keywords':
+        pdf.setKeywords(Array.isArray(value) ? value : String(value).split(/\s*,\s*/));
+        break;
+      case 'creator': pdf.setCreator(value); break;
+      case 'producer': pdf.setProducer(value); break;
+      case 'creationDate': pdf.setCreationDate(new Date(value)); break;
+      case 'modificationDate': pdf.setModificationDate(new Date(value)); break;
+    }
+  }
+
+  // Viewers prefer XMP metadata over the info dictionary, so drop the
+  // XMP stream rather than leave it contradicting the new values
+  pdf.catalog.delete(PDFName.of('Metadata'));
+}
+
+// Remove the info dictionary and XMP metadata from a document and its pages.
+// `onPage` is awaited after each page with (processedPages, totalPages).
+async function stripDocumentMetadata(pdf, onPage = async () => {}) {
+  const infoRef = pdf.context.trailerInfo.Info;
+  if (infoRef instanceof PDFRef) {
+    pdf.context.delete(infoRef);
+  }
+  pdf.context.trailerInfo.Info = undefined;
+
+  pdf.catalog.delete(PDFName.of('Metadata'));
+  pdf.catalog.delete(PDFName.of('PieceInfo'));
+
+  const pages = pdf.getPages();
+  for (const [index, page] of pages.entries()) {
+    page.node.delete(PDFName.of('Metadata'));
+    page.node.delete(PDFName.of('PieceInfo'));
+    await onPage(index + 1, pages.length);
+  }
+}
+
+// List the AcroForm fields of a PDF file.
+// Resolves to [{ name, type, value, options?, required, readOnly, ... }].
+export async function getPdfFormFields(filePath) {
+  try {
+    const pdfBytes = await fs.readFile(filePath);
+    const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+
+    return pdf.getForm().getFields().map(describeFormField);
+  } catch (error) {
+    debugPdf('Error reading PDF form fields:', error);
+    throw new Error(`Failed to read PDF form fields: ${error.message}`, { cause: error });
+  }
+}
+
+// Fill AcroForm fields of a PDF file from `options.fields` ({ name: value }).
+// Text fields take strings, check boxes booleans, radio groups and single-choice
+// lists an option, multi-select lists an array of options.
+// With `options.flatten` the fields are burned into the pages and no longer editable.
+// An aborted `options.signal` stops between fields and before saving; `options.onProgress`
+// is called once the document is ready to save.
+export async function fillPdfForm(inputPath, operationId, options = {}) {
+  try {
+    const { fields = {}, flatten = false, signal, onProgress } = options;
+
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes);
+    const form = pdf.getForm();
+
+    const unknown = Object.keys(fields).filter(name => !form.getFieldMaybe(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown form field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+    }
+
+    for (const [name, value] of Object.entries(fields)) {
+      setFormFieldValue(form.getField(name), value);
+      await throwIfCancelled(signal);
+    }
+
+    if (flatten) {
+      form.flatten();
+    }
+    await trackPages({ signal, onProgress })(pdf.getPageCount(), pdf.getPageCount());
+
+    const filledPdfBytes = await pdf.save();
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `filled_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, filledPdfBytes);
+
+    debugPdf(`Form fill completed: ${Object.keys(fields).length} fields${flatten ? ', flattened' : ''}`);
+    return outputPath;
+
+  } catch (error) {
+    debugPdf('Error filling PDF form:', error);
+    throw new Error(`Failed to fill PDF form: ${error.message}`, { cause: error });
+  }
+}
+
+// Plain description of a form field for API responses
+function describeFormField(field) {
+  const base = {
+    name: field.getName(),
+    required: field.isRequired(),
+    readOnly: field.isReadOnly()
+  };
+
+  if (field instanceof PDFTextField) {
+    return { ...base, type: 'text', value: field.getText() ?? '', multiline: field.isMultiline(), maxLength: field.getMaxLength() ?? null };
+  }
+  if (field instanceof PDFCheckBox) {
+    return { ...base, type: 'checkbox', value: field.isChecked() };
+  }
+  if (field instanceof PDFRadioGroup) {
+    return { ...base, type: 'radio', value: field.getSelected() ?? null, options: field.getOptions() };
+  }
+  if (field instanceof PDFDropdown) {
+    return { ...base, type: 'dropdown', value: field.getSelected(), options: field.getOptions(), multiSelect: field.isMultiselect(), editable: field.isEditable() };
+  }
+  if (field instanceof PDFOptionList) {
+    return { ...base, type: 'list', value: field.getSelected(), options: field.getOptions(), multiSelect: field.isMultiselect() };
+  }
+  if (field instanceof PDFButton) {
+    return { ...base, type: 'button', value: null };
+  }
+  if (field instanceof PDFSignature) {
+    return { ...base, type: 'signature', value: null };
+  }
+
+  return { ...base, type: 'unknown', value: null };
+}
+
+// Set one form field from a JSON value, checking the value fits the field type
+function setFormFieldValue(field, value) {
+  const name = field.getName();
+
+  if (field.isReadOnly()) {
+    throw new Error(`Field "${name}" is read-only`);
+  }
+
+  if (field instanceof PDFTextField) {
+    if (value !== null && typeof value === 'object') {
+      throw new Error(`Field "${name}" is a text field and needs a string`);
+    }
+    field.setText(value === null || value === undefined ? '' : String(value));
+    return;
+  }
+
+  if (field instanceof PDFCheckBox) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`Field "${name}" is a checkbox and needs true or false`);
+    }
+    if (value) {
+      field.check();
+    } else {
+      field.uncheck();
+    }
+    return;
+  }
+
+  if (field instanceof PDFRadioGroup) {
+    if (value === null || value === '') {
+      field.clear();
+      return;
+    }
+    if (!field.getOptions().includes(value)) {
+      throw new Error(`"${value}" is not an option of radio group "${name}" (${field.getOptions().join(', ')})`);
+    }
+    field.select(value);
+    return;
+  }
+
+  if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    const values = value === null || value === '' ? [] : [].concat(value);
+    const options = field.getOptions();
+    const editable = field instanceof PDFDropdown && field.isEditable();
+
+    if (values.length > 1 && !field.isMultiselect()) {
+      throw new Error(`Field "${name}" accepts a single option`);
+    }
+
+    const invalid = values.filter(option => typeof option !== 'string' || (!editable && !options.includes(option)));
+    if (invalid.length > 0) {
+      throw new Error(
+        `${invalid.map(option => `"${option}"`).join(', ')} ${invalid.length === 1 ? 'is not an option' : 'are not options'} of "${name}" (${options.join(', ')})`
+      );
+    }
+
+    if (values.length === 0) {
+      field.clear();
+    } else {
+      field.select(values);
+    }
+    return;
+  }
+
+  throw new Error(`Field "${name}" cannot be filled`);
+}
+
+// Reduce the size of a PDF file: shared copies of identical fonts and images,
+// compressed streams, object streams and no unreferenced objects.
+// `options.onProgress` is called before and after optimizing; an aborted
+// `options.signal` stops before the document is optimized.
+export async function optimizePdfFile(inputPath, operationId, options = {}) {
+  try {
+    const { onProgress = () => {} } = options;
+    const pdfBytes = await fs.readFile(inputPath);
+    const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+    const totalPages = pdf.getPageCount();
+
+    await trackPages(options)(0, totalPages);
+    const optimizedPdfBytes = await savePdfDocument(pdf, true);
+    onProgress({ processedPages: totalPages, totalPages });
+
+    const processedDir = path.join(__dirname, '..', 'processed');
+    await fs.mkdir(processedDir, { recursive: true });
+
+    const outputFileName = `optimized_${operationId}_${Date.now()}.pdf`;
+    const outputPath = path.join(processedDir, outputFileName);
+
+    await fs.writeFile(outputPath, optimizedPdfBytes);
+
+    debugPdf(`Optimize completed: ${formatBytes(pdfBytes.length)} -> ${formatBytes(optimizedPdfBytes.length)}`);
+    return outputPath;
+
+  } catch (error) {
+    debugPdf('Error optimizing PDF:', error);
+    throw new Error(`Failed to optimize PDF: ${error.message}`, { cause: error });
   }
 }
 
@@ -238,7 +1272,8 @@ export async function validatePdfFile(filePath) {
     debugPdf('PDF validation failed:', error);
     return {
       isValid: false,
-      error: error.message
+      error: error.message,
+      ...(error instanceof EncryptedPDFError && { code: 'ENCRYPTED_PDF' })
     };
   }
 }
\ No newline at end of file
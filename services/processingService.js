@@ -0,0 +1,250 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  mergePdfFiles,
+  splitPdfFile,
+  rotatePdfFile,
+  organizePdfFile,
+  watermarkPdfFile,
+  batesNumberPdfFile,
+  optimizePdfFile,
+  imagesToPdfFile,
+  fillPdfForm,
+  imposePdfFile,
+  resizePdfFile,
+  editPdfMetadata
+} from './pdfService.js';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Processing of queued operations: runs the PDF work for an operation record
+// and stores its metadata. Recording the outcome is left to the job queue,
+// which decides between completing, retrying, failing and cancelling.
+
+// Build the outputFiles entry for a file written to the processed directory
+async function toOutputFile(outputPath, extra = {}) {
+  const stats = await fs.stat(outputPath);
+  const filename = path.basename(outputPath);
+
+  return {
+    filename,
+    path: outputPath,
+    size: stats.size,
+    ...extra,
+    downloadUrl: `/api/pdf/download/${filename}`
+  };
+}
+
+// Before/after sizes of an optimized operation: all inputs against all outputs
+function toOptimizationReport(inputFiles, outputFiles) {
+  const originalSize = inputFiles.reduce((total, file) => total + file.size, 0);
+  const optimizedSize = outputFiles.reduce((total, file) => total + file.size, 0);
+  const savedBytes = originalSize - optimizedSize;
+
+  return {
+    originalSize,
+    optimizedSize,
+    savedBytes,
+    savedPercent: originalSize > 0 ? Math.round((savedBytes / originalSize) * 1000) / 10 : 0
+  };
+}
+
+// Progress is written to the record at most this often (ms) while an operation runs
+const PROGRESS_WRITE_INTERVAL = 1000;
+
+// Build the onProgress callback handed to the PDF services. Each report
+// ({ processedPages, totalPages, currentFile }) gets an ETA from the pace so far
+// and is kept on the operation, so the outcome is saved with the last one.
+const createProgressReporter = (operation) => {
+  const [singleFile] = operation.inputFiles.length === 1 ? operation.inputFiles : [];
+  let lastWrite = 0;
+  let writes = Promise.resolve();
+
+  return ({ processedPages, totalPages, currentFile = singleFile?.originalName }) => {
+    const now = new Date();
+    const remainingPages = totalPages - processedPages;
+    const elapsed = now - operation.processing.startTime;
+
+    const progress = {
+      processedPages,
+      totalPages,
+      currentFile,
+      etaSeconds: processedPages > 0 ? Math.ceil((elapsed / processedPages) * remainingPages / 1000) : undefined,
+      updatedAt: now
+    };
+    operation.progress = progress;
+
+    // The last report is always written
+    if (remainingPages > 0 && now - lastWrite < PROGRESS_WRITE_INTERVAL) return;
+    lastWrite = now;
+
+    // One write at a time, so an older report never lands after a newer one
+    writes = writes
+      .then(() => operation.reportProgress(progress))
+      .catch(error => debugPdf('Progress update failed:', error));
+  };
+};
+
+// Processors by operation type. Each receives the operation record, the job
+// payload that was queued with it and { signal, onProgress } for the PDF
+// services, and resolves to the outputFiles entries. Single-file operations read their input from the record.
+const processors = {
+  async merge(operation, { inputFiles, mergeOrder, options = {} }, context) {
+    const orderedFiles = (mergeOrder && mergeOrder.length > 0
+      ? mergeOrder.map(index => inputFiles[index]).filter(Boolean)
+      : inputFiles
+    ).map((file, position) => ({ ...file, order: position }));
+
+    const { path: outputPath, files, addedPages } = await mergePdfFiles(orderedFiles, operation.operationId, {
+      ...options,
+      ...context
+    });
+
+    operation.metadata.pageInsertion.addedPages = addedPages;
+
+    if (options.bates) {
+      operation.metadata.bates.assigned = files;
+    }
+
+    const outputFiles = [await toOutputFile(outputPath)];
+
+    if (options.optimize) {
+      operation.metadata.optimization = toOptimizationReport(inputFiles, outputFiles);
+    }
+
+    return outputFiles;
+  },
+
+  async split(operation, { options }, context) {
+    const [inputFile] = operation.inputFiles;
+    const outputs = await splitPdfFile(inputFile.path, operation.operationId, { ...options, ...context });
+
+    // Record where the document was cut, in source page numbers
+    operation.metadata.splitOptions.boundaries = outputs.map(output => output.pageRange);
+
+    const outputFiles = await Promise.all(
+      outputs.map(({ path: outputPath, ...details }) => toOutputFile(outputPath, details))
+    );
+
+    if (options.optimize) {
+      operation.metadata.optimization = toOptimizationReport([inputFile], outputFiles);
+    }
+
+    return outputFiles;
+  },
+
+  async rotate(operation, { rotations }, context) {
+    const [inputFile] = operation.inputFiles;
+    const outputPath = await rotatePdfFile(inputFile.path, operation.operationId, rotations, context);
+    return [await toOutputFile(outputPath)];
+  },
+
+  async organize(operation, { options }, context) {
+    const [inputFile] = operation.inputFiles;
+    const { path: outputPath, totalPages, pageSequence } = await organizePdfFile(
+      inputFile.path,
+      operation.operationId,
+      { ...options, ...context }
+    );
+
+    operation.metadata.totalPages = totalPages;
+    operation.metadata.organizeOptions.pageSequence = pageSequence;
+
+    const outputFiles = [await toOutputFile(outputPath, { pageCount: pageSequence.length })];
+
+    return outputFiles;
+  },
+
+  async watermark(operation, { watermark }, context) {
+    const [inputFile] = operation.inputFiles;
+    const outputPath = await watermarkPdfFile(inputFile.path, operation.operationId, { ...watermark, ...context });
+    return [await toOutputFile(outputPath)];
+  },
+
+  async bates(operation, { bates }, context) {
+    const [inputFile] = operation.inputFiles;
+    const { path: outputPath, files } = await batesNumberPdfFile(
+      inputFile.path,
+      operation.operationId,
+      { ...bates, ...context },
+      inputFile.originalName
+    );
+
+    operation.metadata.bates.assigned = files;
+    return [await toOutputFile(outputPath)];
+  },
+
+  async metadata(operation, { documentInfo }, context) {
+    const [inputFile] = operation.inputFiles;
+    const outputPath = await editPdfMetadata(inputFile.path, operation.operationId, { ...documentInfo, ...context });
+    return [await toOutputFile(outputPath)];
+  },
+
+  async optimize(operation, payload, context) {
+    const [inputFile] = operation.inputFiles;
+    const outputPath = await optimizePdfFile(inputFile.path, operation.operationId, context);
+    const outputFiles = [await toOutputFile(outputPath)];
+
+    operation.metadata.optimization = toOptimizationReport([inputFile], outputFiles);
+    return outputFiles;
+  },
+
+  async 'images-to-pdf'(operation, { imageOptions }, context) {
+    const { path: outputPath, pageCount } = await imagesToPdfFile(operation.inputFiles, operation.operationId, {
+      ...imageOptions,
+      ...context
+    });
+    const outputFiles = [await toOutputFile(outputPath, { pageCount })];
+
+    return outputFiles;
+  },
+
+  async fill(operation, { options }, context) {
+    const [inputFile] = operation.inputFiles;
+    const outputPath = await fillPdfForm(inputFile.path, operation.operationId, { ...options, ...context });
+    return [await toOutputFile(outputPath)];
+  },
+
+  async impose(operation, { options }, context) {
+    const [inputFile] = operation.inputFiles;
+    const { path: outputPath, pageCount, blankPages } = await imposePdfFile(
+      inputFile.path,
+      operation.operationId,
+      { ...options, ...context }
+    );
+
+    operation.metadata.imposeOptions.blankPages = blankPages;
+    const outputFiles = [await toOutputFile(outputPath, { pageCount })];
+
+    return outputFiles;
+  },
+
+  async resize(operation, { options }, context) {
+    const [inputFile] = operation.inputFiles;
+    const { path: outputPath, resizedPages } = await resizePdfFile(
+      inputFile.path,
+      operation.operationId,
+      { ...options, ...context }
+    );
+
+    operation.metadata.pageSizeOptions.resizedPages = resizedPages;
+    return [await toOutputFile(outputPath)];
+  }
+};
+
+// Run the PDF work of a claimed operation. Resolves to its outputFiles entries.
+// Operations report progress as pages are done and stop between pages once
+// `signal` is aborted.
+export async function processOperation(operation, payload = {}, signal) {
+  const processor = processors[operation.operationType];
+  if (!processor) {
+    throw new Error(`No processor for operation type "${operation.operationType}"`);
+  }
+
+  const outputFiles = await processor(operation, payload, { signal, onProgress: createProgressReporter(operation) });
+
+  // Outputs are previewed through their operation, by position
+  return outputFiles.map((file, index) => ({
+    ...file,
+    previewUrl: `/api/pdf/preview-operation/${operation.operationId}?fileIndex=${index}`
+  }));
+}
@@ -0,0 +1,146 @@
+import { PageSizes, PDFName, PDFArray, PDFPage, degrees } from 'pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Normalizing pages to one target size: content is scaled to fit, centered,
+// and optionally turned so its orientation matches the target.
+
+export const RESIZE_PAGE_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid', 'custom'];
+
+const SIZE_TOLERANCE = 0.5;
+
+// Target width and height in points for { pageSize, width, height, orientation }
+export function getTargetSize(options = {}) {
+  const { pageSize = 'A4', width, height, orientation = 'portrait' } = options;
+
+  if (pageSize === 'custom') {
+    return { width, height };
+  }
+
+  const [shortSide, longSide] = [...PageSizes[pageSize]].sort((a, b) => a - b);
+  return orientation === 'landscape'
+    ? { width: longSide, height: shortSide }
+    : { width: shortSide, height: longSide };
+}
+
+const normalizeAngle = (angle) => ((angle % 360) + 360) % 360;
+
+// Move annotation rectangles (links, form widgets) along with the content
+const transformAnnotations = (page, scale, offsetX, offsetY) => {
+  const annots = page.node.Annots();
+  if (!annots) return;
+
+  for (let i = 0; i < annots.size(); i++) {
+    const annot = annots.lookup(i);
+    const rect = annot?.lookupMaybe?.(PDFName.of('Rect'), PDFArray);
+    if (!rect || rect.size() !== 4) continue;
+
+    const { x, y, width, height } = rect.asRectangle();
+    annot.set(PDFName.of('Rect'), page.doc.context.obj([
+      x * scale + offsetX,
+      y * scale + offsetY,
+      (x + width) * scale + offsetX,
+      (y + height) * scale + offsetY
+    ]));
+  }
+};
+
+// Resize one page to the target size. Resolves to false when it already matches
+// and was not turned.
+// The page keeps its identity (links, form fields and bookmarks pointing at it
+// stay valid); its content is embedded as a form XObject and drawn back scaled.
+const normalizePage = async (pdf, index, target, options) => {
+  let page = pdf.getPage(index);
+  const { margin = 0, autoRotate = true } = options;
+
+  let rotation = normalizeAngle(page.getRotation().angle);
+  const box = page.getCropBox();
+  const sideways = () => rotation === 90 || rotation === 270;
+
+  // Turn landscape pages for portrait targets (and the reverse) the way
+  // printers do: counter-clockwise, so the top of the content ends up on the left
+  const visualLandscape = sideways() ? box.height > box.width : box.width > box.height;
+  const targetLandscape = target.width > target.height;
+  const rotate = autoRotate && visualLandscape !== targetLandscape && box.width !== box.height;
+  if (rotate) {
+    rotation = normalizeAngle(rotation + 270);
+    page.setRotation(degrees(rotation));
+  }
+
+  // Target size in unrotated page space
+  const pageWidth = sideways() ? target.height : target.width;
+  const pageHeight = sideways() ? target.width : target.height;
+
+  const alreadyFits = Math.abs(box.width - pageWidth) < SIZE_TOLERANCE
+    && Math.abs(box.height - pageHeight) < SIZE_TOLERANCE
+    && box.x === 0 && box.y === 0 && margin === 0;
+  if (alreadyFits) return rotate;
+
+  const scale = Math.min(
+    Math.max(1, pageWidth - margin * 2) / box.width,
+    Math.max(1, pageHeight - margin * 2) / box.height
+  );
+  const x = (pageWidth - box.width * scale) / 2;
+  const y = (pageHeight - box.height * scale) / 2;
+
+  // Embedding reads the page's content when it runs, so run it now, before
+  // the content is replaced by the drawing of the embedded page. Blank pages
+  // have nothing to embed.
+  let embedded;
+  if (page.node.Contents()) {
+    embedded = await pdf.embedPage(page, {
+      left: box.x,
+      bottom: box.y,
+      right: box.x + box.width,
+      top: box.y + box.height
+    });
+    await embedded.embed();
+
+    // The embedded page keeps the old resources; the page gets the empty
+    // dictionaries pdf-lib expects to draw into
+    page.node.set(PDFName.of('Contents'), pdf.context.obj([]));
+    page.node.set(PDFName.of('Resources'), pdf.context.obj({ Font: {}, XObject: {}, ExtGState: {} }));
+
+    // Draw through a fresh wrapper of the same page node: a wrapper keeps
+    // drawing into the content stream it last used, which is now embedded
+    pdf.removePage(index);
+    page = pdf.insertPage(index, PDFPage.of(page.node, page.ref, pdf));
+  }
+
+  page.setMediaBox(0, 0, pageWidth, pageHeight);
+  page.setCropBox(0, 0, pageWidth, pageHeight);
+  ['BleedBox', 'TrimBox', 'ArtBox'].forEach(name => page.node.delete(PDFName.of(name)));
+
+  if (embedded) {
+    page.drawPage(embedded, {
+      x,
+      y,
+      width: box.width * scale,
+      height: box.height * scale
+    });
+  }
+  transformAnnotations(page, scale, x - box.x * scale, y - box.y * scale);
+
+  return true;
+};
+
+// Normalize every page of a loaded document to one size.
+// `options`: pageSize (or "custom" with width and height), orientation, margin, autoRotate,
+// and skipPages, a Set of page refs left as they are (pages a merge generated).
+// `onPage` is awaited after each page with (processedPages, totalPages).
+// Resolves to the number of pages that were changed.
+export async function normalizePageSizes(pdf, options = {}, onPage = async () => {}) {
+  const target = getTargetSize(options);
+  let resized = 0;
+
+  const { skipPages = new Set() } = options;
+
+  for (let index = 0; index < pdf.getPageCount(); index++) {
+    if (!skipPages.has(pdf.getPage(index).ref) && await normalizePage(pdf, index, target, options)) {
+      resized++;
+    }
+    await onPage(index + 1, pdf.getPageCount());
+  }
+
+  debugPdf(`Normalized ${resized} of ${pdf.getPageCount()} pages to ${Math.round(target.width)}x${Math.round(target.height)}`);
+  return resized;
+}
@@ -0,0 +1,200 @@
+import { StandardFonts, rgb, degrees } from 'pdf-lib';
+import { resolvePageSelection } from '../utils/pageSelection.js';
+
+// Drawing of text stamps (watermarks, Bates numbers) onto existing pages.
+// Positions are given in the page's visual orientation, so stamps come out
+// upright even on pages that carry a /Rotate entry.
+
+export const STAMP_POSITIONS = [
+  'center',
+  'top-left',
+  'top-center',
+  'top-right',
+  'bottom-left',
+  'bottom-center',
+  'bottom-right'
+];
+
+// Convert "#RRGGBB" (or "RRGGBB") to a pdf-lib color
+export const parseHexColor = (hex) => {
+  const value = String(hex).replace(/^#/, '');
+  return rgb(
+    parseInt(value.slice(0, 2), 16) / 255,
+    parseInt(value.slice(2, 4), 16) / 255,
+    parseInt(value.slice(4, 6), 16) / 255
+  );
+};
+
+// Visible area of a page as seen in a viewer: crop box plus page rotation
+const getVisualFrame = (page) => {
+  const box = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  const swapped = rotation === 90 || rotation === 270;
+
+  return {
+    box,
+    rotation,
+    width: swapped ? box.height : box.width,
+    height: swapped ? box.width : box.height
+  };
+};
+
+// Map a point in visual coordinates back to page coordinates
+const toPageCoordinates = (frame, vx, vy) => {
+  const { box, rotation } = frame;
+
+  switch (rotation) {
+    case 90:
+      return { x: box.x + box.width - vy, y: box.y + vx };
+    case 180:
+      return { x: box.x + box.width - vx, y: box.y + box.height - vy };
+    case 270:
+      return { x: box.x + vy, y: box.y + box.height - vx };
+    default:
+      return { x: box.x + vx, y: box.y + vy };
+  }
+};
+
+// Visual anchor point for the center of a stamp
+const getAnchor = (frame, position, margin, textWidth, textHeight) => {
+  const [vertical, horizontal = 'center'] = position === 'center'
+    ? ['center', 'center']
+    : position.split('-');
+
+  const x = horizontal === 'left'
+    ? margin + textWidth / 2
+    : horizontal === 'right'
+      ? frame.width - margin - textWidth / 2
+      : frame.width / 2;
+
+  const y = vertical === 'top'
+    ? frame.height - margin - textHeight / 2
+    : vertical === 'bottom'
+      ? margin + textHeight / 2
+      : frame.height / 2;
+
+  return { x, y };
+};
+
+// Draw a single line of text on a page, centered on the anchor for `position`.
+// `rotation` is in degrees, counter-clockwise, relative to the page as displayed.
+export function drawTextStamp(page, font, text, options = {}) {
+  const {
+    fontSize = 12,
+    color = '#000000',
+    opacity = 1,
+    rotation = 0,
+    position = 'center',
+    margin = 36
+  } = options;
+
+  const frame = getVisualFrame(page);
+  const textWidth = font.widthOfTextAtSize(text, fontSize);
+  const textHeight = font.heightAtSize(fontSize, { descender: false });
+
+  // Bounding box of the rotated text, used to keep corner stamps inside the margin
+  const radians = (rotation * Math.PI) / 180;
+  const boundsWidth = Math.abs(textWidth * Math.cos(radians)) + Math.abs(textHeight * Math.sin(radians));
+  const boundsHeight = Math.abs(textWidth * Math.sin(radians)) + Math.abs(textHeight * Math.cos(radians));
+  const anchor = getAnchor(frame, position, margin, boundsWidth, boundsHeight);
+
+  // drawText rotates around the text origin, so offset the origin from the center
+  const originX = anchor.x - (textWidth / 2) * Math.cos(radians) + (textHeight / 2) * Math.sin(radians);
+  const originY = anchor.y - (textWidth / 2) * Math.sin(radians) - (textHeight / 2) * Math.cos(radians);
+  const { x, y } = toPageCoordinates(frame, originX, originY);
+
+  page.drawText(text, {
+    x,
+    y,
+    size: fontSize,
+    font,
+    color: parseHexColor(color),
+    opacity,
+    rotate: degrees(rotation + frame.rotation)
+  });
+}
+
+// Stamp watermark text on the selected pages (all by default) of a loaded document.
+// `onPage` is awaited after each stamped page with (stampedPages, selectedPages).
+export async function applyTextWatermark(pdf, options = {}, onPage = async () => {}) {
+  const {
+    text,
+    fontSize = 48,
+    color = '#808080',
+    opacity = 0.3,
+    rotation = 45,
+    position = 'center',
+    margin = 36,
+    pages
+  } = options;
+
+  if (!text) {
+    throw new Error('Watermark text is required');
+  }
+
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const allPages = pdf.getPages();
+  const pageNumbers = pages
+    ? resolvePageSelection(pages, allPages.length)
+    : allPages.map((_, index) => index + 1);
+
+  const uniquePages = new Set(pageNumbers);
+  let stamped = 0;
+  for (const pageNumber of uniquePages) {
+    drawTextStamp(allPages[pageNumber - 1], font, text, {
+      fontSize,
+      color,
+      opacity,
+      rotation,
+      position,
+      margin
+    });
+    await onPage(++stamped, uniquePages.size);
+  }
+
+  return uniquePages.size;
+}
+
+// Format a Bates label: prefix + zero-padded counter + suffix
+export const formatBatesNumber = (number, { prefix = '', suffix = '', digits = 6 } = {}) => (
+  `${prefix}${String(number).padStart(digits, '0')}${suffix}`
+);
+
+// Stamp sequential Bates numbers on every page of a loaded document.
+// `fileSpans` ([{ originalName, startPage, pageCount }], 1-based) lists the source
+// files in page order; each span is returned with the numbers it was assigned.
+// `onPage` is awaited after each numbered page with (numberedPages, totalPages).
+export async function applyBatesNumbers(pdf, options = {}, fileSpans = [], onPage = async () => {}) {
+  const {
+    prefix = '',
+    suffix = '',
+    startNumber = 1,
+    digits = 6,
+    position = 'bottom-right',
+    fontSize = 10,
+    color = '#000000',
+    margin = 24
+  } = options;
+
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const pages = pdf.getPages();
+
+  for (const [index, page] of pages.entries()) {
+    const label = formatBatesNumber(startNumber + index, { prefix, suffix, digits });
+    drawTextStamp(page, font, label, { fontSize, color, position, margin });
+    await onPage(index + 1, pages.length);
+  }
+
+  return fileSpans.map((span) => {
+    const firstNumber = startNumber + span.startPage - 1;
+    const lastNumber = firstNumber + span.pageCount - 1;
+
+    return {
+      ...span,
+      firstNumber,
+      lastNumber,
+      firstLabel: formatBatesNumber(firstNumber, { prefix, suffix, digits }),
+      lastLabel: formatBatesNumber(lastNumber, { prefix, suffix, digits })
+    };
+  });
+}
@@ -0,0 +1,72 @@
+// Public view of an operation, as returned by GET /api/pdf/status/:operationId
+// and pushed by its event stream
+
+// Statuses an operation does not leave
+export const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export function toOperationStatus(operation) {
+  const status = {
+    operationId: operation.operationId,
+    operationType: operation.operationType,
+    status: operation.status,
+    createdAt: operation.createdAt,
+    inputFiles: operation.inputFiles.map(file => ({
+      originalName: file.originalName,
+      size: file.size,
+      // Only stored documents can be downloaded again; plain uploads are not served
+      ...(file.documentId && {
+        documentId: file.documentId,
+        downloadUrl: `/api/pdf/documents/${file.documentId}/download`
+      })
+    }))
+  };
+
+  if (operation.progress?.totalPages) {
+    const { processedPages, totalPages, currentFile, etaSeconds } = operation.progress;
+    status.progress = {
+      processedPages,
+      totalPages,
+      percent: Math.floor((processedPages / totalPages) * 100),
+      currentFile,
+      etaSeconds
+    };
+  }
+
+  if (operation.status === 'completed' && operation.outputFiles.length > 0) {
+    status.outputFiles = operation.outputFiles.map((file, index) => ({
+      filename: file.filename,
+      size: file.size,
+      previewUrl: `/api/pdf/preview-operation/${operation.operationId}?fileIndex=${index}`,
+      downloadUrl: `/api/pdf/download/${file.filename}`
+    }));
+  }
+
+  if (operation.metadata?.bates?.assigned?.length > 0) {
+    status.batesNumbers = operation.metadata.bates.assigned.map(file => ({
+      originalName: file.originalName,
+      firstNumber: file.firstNumber,
+      lastNumber: file.lastNumber,
+      firstLabel: file.firstLabel,
+      lastLabel: file.lastLabel
+    }));
+  }
+
+  if (operation.metadata?.optimization?.optimizedSize !== undefined) {
+    const { originalSize, optimizedSize, savedBytes, savedPercent } = operation.metadata.optimization;
+    status.optimization = { originalSize, optimizedSize, savedBytes, savedPercent };
+  }
+
+  if (operation.status === 'failed') {
+    status.error = operation.processing.errorMessage;
+  }
+
+  if (operation.status === 'processing' && operation.job?.cancelRequested) {
+    status.cancelRequested = true;
+  }
+
+  if (operation.processing.duration) {
+    status.processingTime = `${operation.processing.duration}ms`;
+  }
+
+  return status;
+}
@@ -0,0 +1,265 @@
+import {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFNumber,
+  PDFString,
+  PDFHexString,
+  PDFObjectCopier
+} from 'pdf-lib';
+import { debugPdf } from '../utils/debugLogger.js';
+import {
+  readOutline,
+  remapOutline,
+  writeOutline,
+  readNamedDestinations,
+  addNamedDestinations,
+  createDestinationResolver,
+  getDestination
+} from './outlineService.js';
+
+// Document-level structures that copyPages leaves behind: the outline, named
+// destinations, internal links and AcroForm fields. They are read from a source
+// document once and carried over to every document built from its pages,
+// remapped to the new pages; entries pointing at pages left out are pruned.
+
+const MAX_FIELD_DEPTH = 32;
+
+// AcroForm entries carried over with the fields (XFA is dropped: it describes the whole original form)
+const ACROFORM_KEYS = ['DA', 'Q', 'NeedAppearances', 'DR'];
+
+const decodeText = (value) => (
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : ''
+);
+
+const isSubtype = (annot, subtype) => annot.lookup(PDFName.of('Subtype')) === PDFName.of(subtype);
+
+// Read the structures of a loaded source document and detach its annotations
+// from other pages. copyPages follows every reference, so a link to page 9 or a
+// widget's /P would copy those whole pages along; links are retargeted to page
+// indices instead, and attachDocumentStructure points them at the output pages.
+// Call once after loading, before copying any pages.
+export function detachDocumentStructure(pdf) {
+  const outline = readOutline(pdf);
+  const namedDestinations = readNamedDestinations(pdf);
+  const resolveTarget = createDestinationResolver(pdf);
+
+  for (const page of pdf.getPages()) {
+    // Article thread beads also point at other pages
+    page.node.delete(PDFName.of('B'));
+
+    const annots = page.node.Annots();
+    if (!annots) continue;
+
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      const annot = annots.lookup(i);
+      if (!(annot instanceof PDFDict)) continue;
+
+      annot.delete(PDFName.of('P'));
+
+      // Only internal links; web and file links have no destination here
+      const destination = isSubtype(annot, 'Link') ? getDestination(annot) : undefined;
+      if (!destination) continue;
+
+      const target = resolveTarget(destination);
+      if (target) {
+        annot.set(PDFName.of('Dest'), pdf.context.obj([target.pageIndex, ...target.view]));
+        annot.delete(PDFName.of('A'));
+      } else {
+        // Already broken in the source
+        annots.remove(i);
+      }
+    }
+  }
+
+  return {
+    pdf,
+    outline,
+    namedDestinations,
+    acroForm: pdf.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict)
+  };
+}
+
+// Point copied links at the output pages, or remove them when their target page
+// was not copied, and give every annotation its new page
+const relinkAnnotations = (copiedPages, pageRefBySource) => {
+  let relinked = 0;
+  let removed = 0;
+
+  for (const page of copiedPages) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      const annot = annots.lookup(i);
+      if (!(annot instanceof PDFDict)) continue;
+
+      annot.set(PDFName.of('P'), page.ref);
+
+      const destination = annot.lookup(PDFName.of('Dest'));
+      const target = destination instanceof PDFArray ? destination.get(0) : undefined;
+      if (!(target instanceof PDFNumber)) continue;
+
+      const pageRef = pageRefBySource.get(target.asNumber());
+      if (pageRef) {
+        destination.set(0, pageRef);
+        relinked++;
+      } else {
+        annots.remove(i);
+        removed++;
+      }
+    }
+  }
+
+  return { relinked, removed };
+};
+
+// Copy form-level settings (default appearance, fonts) from the source AcroForm.
+// A merge collects fields from several sources; later sources only add missing fonts.
+const copyAcroFormSettings = (pdf, structure, acroForm, isNew) => {
+  const copier = PDFObjectCopier.for(structure.pdf.context, pdf.context);
+
+  if (isNew) {
+    for (const key of ACROFORM_KEYS) {
+      const value = structure.acroForm.get(PDFName.of(key));
+      if (value !== undefined) {
+        acroForm.set(PDFName.of(key), copier.copy(value));
+      }
+    }
+    return;
+  }
+
+  const sourceFonts = structure.acroForm.lookupMaybe(PDFName.of('DR'), PDFDict)?.lookupMaybe(PDFName.of('Font'), PDFDict);
+  const fonts = acroForm.lookupMaybe(PDFName.of('DR'), PDFDict)?.lookupMaybe(PDFName.of('Font'), PDFDict);
+  if (!sourceFonts || !fonts) return;
+
+  for (const [name, font] of sourceFonts.entries()) {
+    if (!fonts.has(name)) {
+      fonts.set(name, copier.copy(font));
+    }
+  }
+};
+
+// Register the fields behind the copied widgets in the output's AcroForm.
+// Widgets on pages that were not copied are pruned from their fields, and
+// top-level names already taken in the output get a numeric suffix.
+// Returns the number of top-level fields added.
+const attachFormFields = (pdf, structure, copiedPages) => {
+  const { context } = pdf;
+  const widgetTags = new Set();
+  const rootRefs = new Map();
+
+  for (const page of copiedPages) {
+    const annots = page.node.Annots();
+    if (!annots) continue;
+
+    for (let i = 0; i < annots.size(); i++) {
+      const ref = annots.get(i);
+      const annot = annots.lookup(i);
+      if (!(ref instanceof PDFRef) || !(annot instanceof PDFDict) || !isSubtype(annot, 'Widget')) continue;
+
+      widgetTags.add(ref.tag);
+
+      let rootRef = ref;
+      let node = annot;
+      for (let depth = 0; depth < MAX_FIELD_DEPTH && node.get(PDFName.of('Parent')) instanceof PDFRef; depth++) {
+        rootRef = node.get(PDFName.of('Parent'));
+        node = context.lookup(rootRef, PDFDict);
+      }
+      rootRefs.set(rootRef.tag, rootRef);
+    }
+  }
+
+  if (rootRefs.size === 0) return 0;
+
+  // Keep a field when any of its widgets made it into the output
+  const pruneField = (ref, depth = 0) => {
+    const field = context.lookup(ref, PDFDict);
+    const kids = field.lookup(PDFName.of('Kids'));
+    if (!(kids instanceof PDFArray)) return widgetTags.has(ref.tag);
+
+    for (let i = kids.size() - 1; i >= 0; i--) {
+      const kidRef = kids.get(i);
+      if (!(kidRef instanceof PDFRef) || depth >= MAX_FIELD_DEPTH || !pruneField(kidRef, depth + 1)) {
+        kids.remove(i);
+      }
+    }
+    return kids.size() > 0;
+  };
+
+  let acroForm = pdf.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  const isNew = !acroForm;
+  if (isNew) {
+    acroForm = context.obj({ Fields: [] });
+    pdf.catalog.set(PDFName.of('AcroForm'), context.register(acroForm));
+  }
+  copyAcroFormSettings(pdf, structure, acroForm, isNew);
+
+  const fields = acroForm.lookup(PDFName.of('Fields'), PDFArray);
+  const takenNames = new Set();
+  for (let i = 0; i < fields.size(); i++) {
+    takenNames.add(decodeText(fields.lookup(i, PDFDict).lookup(PDFName.of('T'))));
+  }
+
+  let added = 0;
+  for (const rootRef of rootRefs.values()) {
+    if (!pruneField(rootRef)) continue;
+
+    const field = context.lookup(rootRef, PDFDict);
+    const name = decodeText(field.lookup(PDFName.of('T')));
+    if (name && takenNames.has(name)) {
+      let suffix = 2;
+      while (takenNames.has(`${name}_${suffix}`)) suffix++;
+      field.set(PDFName.of('T'), PDFHexString.fromText(`${name}_${suffix}`));
+      takenNames.add(`${name}_${suffix}`);
+    } else {
+      takenNames.add(name);
+    }
+
+    fields.push(rootRef);
+    added++;
+  }
+
+  return added;
+};
+
+// Carry the structures of a detached source (see detachDocumentStructure) over
+// to `pdf`, where `copiedPages` are copies of the source pages `pageIndices`
+// (zero-based, in the same order). A page copied more than once is linked to
+// at its first copy. `options.outline` (default true) also writes the source
+// outline; merges build their own.
+export function attachDocumentStructure(pdf, structure, copiedPages, pageIndices, options = {}) {
+  const { outline = true } = options;
+
+  const pageRefBySource = new Map();
+  pageIndices.forEach((sourceIndex, position) => {
+    if (!pageRefBySource.has(sourceIndex)) {
+      pageRefBySource.set(sourceIndex, copiedPages[position].ref);
+    }
+  });
+
+  const { relinked, removed } = relinkAnnotations(copiedPages, pageRefBySource);
+  const fieldCount = structure.acroForm ? attachFormFields(pdf, structure, copiedPages) : 0;
+
+  const destinationCount = addNamedDestinations(
+    pdf,
+    structure.namedDestinations
+      .filter(destination => pageRefBySource.has(destination.pageIndex))
+      .map(destination => ({ ...destination, pageRef: pageRefBySource.get(destination.pageIndex) }))
+  );
+
+  if (outline) {
+    const pageIndexByRef = new Map(pdf.getPages().map((page, index) => [page.ref.toString(), index]));
+    const items = remapOutline(structure.outline, (sourceIndex) => {
+      const pageRef = pageRefBySource.get(sourceIndex);
+      return pageRef ? pageIndexByRef.get(pageRef.toString()) ?? null : null;
+    });
+
+    if (items.length > 0) {
+      writeOutline(pdf, items);
+    }
+  }
+
+  debugPdf(`Carried over ${relinked} links (${removed} pruned), ${fieldCount} form fields and ${destinationCount} named destinations`);
+}
@@ -0,0 +1,144 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { UploadSession } from '../models/UploadSession.js';
+import { createUploadFilename } from './documentService.js';
+import { config } from '../config/config.js';
+import { parseByteSize } from '../utils/byteSize.js';
+import { debugUpload } from '../utils/debugLogger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Resumable uploads. A session is created with the file's name, type and size;
+// chunks are then PUT in any order, each written at its offset into a partial
+// file in the temp directory, and can be sent again after a dropped connection.
+// Completing checks the SHA-256 checksum of the whole file and moves it to the
+// uploads directory, where it is stored like a file sent to /upload.
+
+export const UPLOAD_CHUNK_SIZE = parseByteSize(config.uploadChunkSize);
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Sessions live as long as other temporary files, counted from their last chunk
+const getExpiry = () => new Date(Date.now() + config.tempFileLifetime * 60 * 60 * 1000);
+
+// Start a session for a file of `size` bytes
+export async function createUploadSession({ filename, mimetype, size }) {
+  const uploadId = uuidv4();
+  const partialPath = path.join(TEMP_DIR, `${uploadId}.part`);
+
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  await fs.writeFile(partialPath, '');
+
+  const session = new UploadSession({
+    uploadId,
+    originalName: filename,
+    mimetype,
+    size,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    chunkCount: Math.ceil(size / UPLOAD_CHUNK_SIZE),
+    path: partialPath,
+    expiresAt: getExpiry()
+  });
+
+  await session.save();
+  debugUpload(`Started upload ${uploadId} of ${filename} (${size} bytes in ${session.chunkCount} chunks)`);
+
+  return session;
+}
+
+// Find a session that has not expired
+export async function findUploadSession(uploadId) {
+  return UploadSession.findOne({ uploadId, expiresAt: { $gt: new Date() } });
+}
+
+// Expected byte length of chunk `index`
+export const getChunkLength = (session, index) => Math.min(session.chunkSize, session.size - index * session.chunkSize);
+
+// Write a chunk at its offset and record it. Resolves to false when the
+// session stopped accepting chunks meanwhile.
+export async function writeChunk(session, index, bytes) {
+  const handle = await fs.open(session.path, 'r+');
+  try {
+    await handle.write(bytes, 0, bytes.length, index * session.chunkSize);
+  } finally {
+    await handle.close();
+  }
+
+  return session.recordChunk(index, getExpiry());
+}
+
+// SHA-256 of the assembled file, as hex
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// Check the assembled file of a session claimed for completion against the
+// SHA-256 `checksum` (hex) the client computed. Resolves to whether it matches.
+export async function verifyUpload(session, checksum) {
+  // A chunk written past the declared size would otherwise stay at the end
+  await fs.truncate(session.path, session.size);
+
+  const actual = await hashFile(session.path);
+  if (actual !== checksum.toLowerCase()) {
+    debugUpload(`Checksum mismatch for upload ${session.uploadId}: expected ${checksum}, got ${actual}`);
+    return false;
+  }
+
+  return true;
+}
+
+// Move a verified file to the uploads directory. Resolves to a multer-style
+// file object, as the upload middleware gives handlers.
+export async function moveToUploads(session) {
+  const filename = createUploadFilename(session.originalName);
+  const filePath = path.join(UPLOAD_DIR, filename);
+
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.rename(session.path, filePath);
+
+  return {
+    fieldname: 'files',
+    originalname: session.originalName,
+    filename,
+    path: filePath,
+    size: session.size,
+    mimetype: session.mimetype
+  };
+}
+
+// Drop a session and its partial file
+export async function removeUploadSession(session) {
+  if (session.path) {
+    await fs.rm(session.path, { force: true });
+  }
+  await session.deleteOne();
+  debugUpload(`Removed upload ${session.uploadId}`);
+}
+
+// Public view of a session, as returned by GET /uploads/:uploadId
+export function toUploadStatus(session) {
+  const receivedRanges = session.getReceivedRanges();
+
+  return {
+    uploadId: session.uploadId,
+    status: session.status,
+    originalName: session.originalName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    chunkCount: session.chunkCount,
+    receivedBytes: receivedRanges.reduce((total, range) => total + range.length, 0),
+    receivedRanges,
+    missingChunks: session.getMissingChunks(),
+    expiresAt: session.expiresAt,
+    ...(session.documentId && { documentId: session.documentId, operationId: session.operationId })
+  };
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { PdfOperation } from '../models/PdfOperation.js';
+import { toOperationStatus } from './statusService.js';
+import { config } from '../config/config.js';
+import { debugWebhook } from '../utils/debugLogger.js';
+
+// Completion webhooks. An operation created with a callbackUrl gets a pending
+// delivery once it finishes (see releaseJob in the model); job workers claim
+// due deliveries and POST the operation status to the URL, retrying with
+// backoff until it answers with a 2xx status or the attempts run out.
+
+const DELIVERY_TIMEOUT = 10 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+// Addresses deliveries are never sent to, unless their host is in
+// WEBHOOK_ALLOWED_HOSTS: loopback, private, shared, link-local (cloud metadata
+// services), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Error raised for a callbackUrl whose host deliveries may not be sent to
+export class WebhookTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookTargetError';
+    this.code = 'CALLBACK_URL_NOT_ALLOWED';
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+// IPv4-mapped IPv6 addresses are kept apart: a BlockList also matches plain
+// IPv4 addresses against IPv6 subnets, so this range would block all of them
+const MAPPED_ADDRESSES = new net.BlockList();
+MAPPED_ADDRESSES.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+const isBlockedAddress = (address) => (net.isIPv6(address)
+  ? BLOCKED_ADDRESSES.check(address, 'ipv6') || MAPPED_ADDRESSES.check(address, 'ipv6')
+  : BLOCKED_ADDRESSES.check(address, 'ipv4'));
+
+// Hostname of a URL as DNS and the allowlist see it, without IPv6 brackets
+const getHostname = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+const isAllowedHost = (hostname) => config.webhookAllowedHosts.includes(hostname);
+
+// dns.lookup replacement for delivery requests. Connections only go to addresses
+// checked here, so a host cannot resolve to a public address when the
+// callbackUrl is validated and to a private one when it is called.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new WebhookTargetError(`${hostname} resolves to ${blocked.address}, which webhooks may not be sent to`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Check that deliveries may be sent to the host of `callbackUrl`: it must be in
+// WEBHOOK_ALLOWED_HOSTS or resolve only to public addresses. Rejects with a
+// WebhookTargetError otherwise.
+export async function assertCallbackTarget(callbackUrl) {
+  const hostname = getHostname(new URL(callbackUrl));
+  if (isAllowedHost(hostname)) return;
+
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) {
+      throw new WebhookTargetError(`Webhooks may not be sent to ${hostname}`);
+    }
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    lookupPublicAddress(hostname, {}, (error) => {
+      if (error instanceof WebhookTargetError) return reject(error);
+      if (error) return reject(new WebhookTargetError(`${hostname} could not be resolved`));
+      resolve();
+    });
+  });
+}
+
+// POST a delivery to `url`. Resolves to the response status; redirects are not followed.
+function postWebhook(url, headers, body) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: isAllowedHost(getHostname(target)) ? undefined : lookupPublicAddress,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    }, (response) => {
+      // Free the connection; the response body is not used
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+export function signWebhookPayload(body, timestamp) {
+  return crypto
+    .createHmac('sha256', config.webhookSecret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+// Exponential backoff: the base delay after the first attempt, doubling after each further one
+const getRetryDelay = (attempt) => Math.min(config.webhookRetryDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+
+// Send one delivery attempt for a claimed operation and record it
+async function deliverWebhook(operation) {
+  const { operationId, webhook } = operation;
+  const attempt = webhook.deliveries.length + 1;
+
+  // The same payload GET /status/:operationId returns
+  const body = JSON.stringify({ success: true, data: toOperationStatus(operation) });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = new Date();
+
+  const delivery = { attempt, attemptedAt: startedAt };
+
+  try {
+    // The host is checked on every attempt, as its addresses may have changed
+    await assertCallbackTarget(webhook.url);
+
+    delivery.statusCode = await postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': config.pdfProducer,
+      'X-Webhook-Id': operationId,
+      'X-Webhook-Event': `operation.${operation.status}`,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signWebhookPayload(body, timestamp)}`
+    }, body);
+
+    if (delivery.statusCode < 200 || delivery.statusCode >= 300) {
+      delivery.error = `Unexpected response status ${delivery.statusCode}`;
+    }
+  } catch (error) {
+    delivery.error = error.name === 'AbortError' ? `No response within ${DELIVERY_TIMEOUT / 1000} seconds` : error.message;
+  }
+
+  delivery.durationMs = Date.now() - startedAt.getTime();
+
+  if (!delivery.error) {
+    await operation.recordWebhookDelivery(delivery, 'delivered');
+    debugWebhook(`Delivered webhook of operation ${operationId} (attempt ${attempt})`);
+  } else if (attempt < config.webhookMaxAttempts) {
+    const delay = getRetryDelay(attempt);
+    await operation.recordWebhookDelivery(delivery, 'pending', new Date(Date.now() + delay));
+    debugWebhook(`Webhook of operation ${operationId} failed (${delivery.error}), retrying in ${delay}ms`);
+  } else {
+    await operation.recordWebhookDelivery(delivery, 'failed');
+    debugWebhook(`Webhook of operation ${operationId} failed after ${attempt} attempts: ${delivery.error}`);
+  }
+}
+
+// Send every delivery that is due, one at a time. A delivery stays claimed
+// for longer than its request can take, so other workers skip it meanwhile.
+export async function deliverDueWebhooks() {
+  let delivered = 0;
+
+  for (;;) {
+    const operation = await PdfOperation.claimWebhookDelivery(DELIVERY_TIMEOUT * 3);
+    if (!operation) break;
+
+    await deliverWebhook(operation);
+    delivered++;
+  }
+
+  return delivered;
+}
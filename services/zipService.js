@@ -0,0 +1,196 @@
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
+import { debugPdf } from '../utils/debugLogger.js';
+
+// Minimal streaming ZIP writer (STORE method only).
+// PDFs are already compressed, so storing them keeps CPU use low and lets us
+// compute the exact archive size before a single byte is sent.
+
+const LOCAL_HEADER_SIZE = 30;
+const DATA_DESCRIPTOR_SIZE = 16;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIR_SIZE = 22;
+
+// Bit 3: sizes and CRC follow the data, bit 11: names are UTF-8
+const GENERAL_PURPOSE_FLAGS = 0x0008 | 0x0800;
+const VERSION = 20;
+const MAX_ZIP32 = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const updateCrc32 = (crc, chunk) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < chunk.length; i++) {
+    c = CRC_TABLE[(c ^ chunk[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Convert a Date to MS-DOS time/date fields
+const toDosDateTime = (date) => {
+  const d = date instanceof Date && !isNaN(date) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+};
+
+const localHeader = (entry) => {
+  const header = Buffer.alloc(LOCAL_HEADER_SIZE);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+  header.writeUInt16LE(0, 8); // STORE
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  // CRC and sizes are written in the data descriptor
+  header.writeUInt16LE(entry.nameBuffer.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, entry.nameBuffer]);
+};
+
+const dataDescriptor = (entry) => {
+  const descriptor = Buffer.alloc(DATA_DESCRIPTOR_SIZE);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.size, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+};
+
+const centralHeader = (entry) => {
+  const header = Buffer.alloc(CENTRAL_HEADER_SIZE);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.size, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.nameBuffer.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.nameBuffer]);
+};
+
+const endOfCentralDirectory = (entryCount, centralSize, centralOffset) => {
+  const record = Buffer.alloc(END_OF_CENTRAL_DIR_SIZE);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(entryCount, 8);
+  record.writeUInt16LE(entryCount, 10);
+  record.writeUInt32LE(centralSize, 12);
+  record.writeUInt32LE(centralOffset, 16);
+  return record;
+};
+
+// Build a ZIP archive from entries of the form
+// { name, path, size, mtime } (file on disk) or { name, buffer, mtime } (in memory).
+// Returns the exact archive size and a factory for the byte stream.
+export function createZipArchive(entries) {
+  let offset = 0;
+  let centralSize = 0;
+
+  const prepared = entries.map((entry) => {
+    const nameBuffer = Buffer.from(entry.name, 'utf8');
+    const size = entry.buffer ? entry.buffer.length : entry.size;
+
+    if (!Number.isInteger(size) || size < 0) {
+      throw new Error(`Unknown size for zip entry: ${entry.name}`);
+    }
+
+    const item = {
+      ...entry,
+      nameBuffer,
+      size,
+      dos: toDosDateTime(entry.mtime),
+      offset,
+      crc: 0
+    };
+
+    offset += LOCAL_HEADER_SIZE + nameBuffer.length + size + DATA_DESCRIPTOR_SIZE;
+    centralSize += CENTRAL_HEADER_SIZE + nameBuffer.length;
+    return item;
+  });
+
+  const totalSize = offset + centralSize + END_OF_CENTRAL_DIR_SIZE;
+
+  if (offset > MAX_ZIP32 || totalSize > MAX_ZIP32 || prepared.length > 0xffff) {
+    throw new Error('Archive too large for ZIP format without ZIP64 support');
+  }
+
+  async function* generate() {
+    for (const entry of prepared) {
+      yield localHeader(entry);
+
+      let crc = 0;
+      let written = 0;
+      const source = entry.buffer ? [entry.buffer] : createReadStream(entry.path);
+
+      for await (const chunk of source) {
+        crc = updateCrc32(crc, chunk);
+        written += chunk.length;
+        yield chunk;
+      }
+
+      // The size was announced up front, so a file that changed on disk
+      // would corrupt the archive; abort instead of sending bad data
+      if (written !== entry.size) {
+        throw new Error(`File changed while zipping: ${entry.name}`);
+      }
+
+      entry.crc = crc;
+      yield dataDescriptor(entry);
+    }
+
+    const centralOffset = offset;
+    for (const entry of prepared) {
+      yield centralHeader(entry);
+    }
+    yield endOfCentralDirectory(prepared.length, centralSize, centralOffset);
+
+    debugPdf(`Zip archive streamed: ${prepared.length} entries, ${totalSize} bytes`);
+  }
+
+  return {
+    size: totalSize,
+    createStream: () => Readable.from(generate(), { objectMode: false })
+  };
+}
+
+// Make a string safe to use as a file name inside an archive
+export function sanitizeEntryName(name) {
+  return name
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim() || 'file';
+}
+
+// Ensure entry names are unique by appending a counter where needed
+export function uniqueEntryNames(names) {
+  const used = new Set();
+  return names.map((name) => {
+    const dot = name.lastIndexOf('.');
+    const ext = dot > 0 ? name.slice(dot) : '';
+    const base = ext ? name.slice(0, -ext.length) : name;
+
+    let candidate = name;
+    for (let counter = 2; used.has(candidate.toLowerCase()); counter++) {
+      candidate = `${base} (${counter})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePageSelection,
+  resolvePageSelection,
+  formatPageList,
+  PageSelectionError
+} from '../utils/pageSelection.js';
+
+test('resolves pages, ranges and reverse ranges in order', () => {
+  assert.deepEqual(resolvePageSelection('1-3,7', 10), [1, 2, 3, 7]);
+  assert.deepEqual(resolvePageSelection('5,1,2,2', 5), [5, 1, 2, 2]);
+  assert.deepEqual(resolvePageSelection('4-2', 5), [4, 3, 2]);
+});
+
+test('resolves open ranges and pages counted from the end', () => {
+  assert.deepEqual(resolvePageSelection('8-end', 10), [8, 9, 10]);
+  assert.deepEqual(resolvePageSelection('last', 10), [10]);
+  assert.deepEqual(resolvePageSelection('last-2-last', 10), [8, 9, 10]);
+});
+
+test('resolves odd and even pages', () => {
+  assert.deepEqual(resolvePageSelection('odd', 5), [1, 3, 5]);
+  assert.deepEqual(resolvePageSelection('even', 5), [2, 4]);
+});
+
+test('applies exclusions to the selection, or to all pages when nothing is included', () => {
+  assert.deepEqual(resolvePageSelection('1-10,!5,!7-8', 10), [1, 2, 3, 4, 6, 9, 10]);
+  assert.deepEqual(resolvePageSelection('!1,!last', 4), [2, 3]);
+});
+
+test('ignores whitespace and case', () => {
+  assert.deepEqual(resolvePageSelection(' 1 - 2 , LAST ', 3), [1, 2, 3]);
+});
+
+test('names the failing token of an invalid selection', () => {
+  assert.throws(() => parsePageSelection('1-3,abc'), (error) => {
+    assert.ok(error instanceof PageSelectionError);
+    assert.equal(error.token, 'abc');
+    assert.match(error.message, /token "abc" is not a page/);
+    return true;
+  });
+
+  assert.throws(() => parsePageSelection('0-2'), /uses page 0, pages start at 1/);
+  assert.throws(() => parsePageSelection('1,,2'), /empty token/);
+  assert.throws(() => parsePageSelection('!'), /empty token after "!"/);
+  assert.throws(() => parsePageSelection(''), /must not be empty/);
+});
+
+test('rejects pages outside the document', () => {
+  assert.throws(() => resolvePageSelection('2-6', 5), /token "2-6" refers to page 6, but the document has 5 pages/);
+  assert.throws(() => resolvePageSelection('last-3', 2), /refers to a page before page 1, but the document has 2 pages/);
+  assert.throws(() => resolvePageSelection('!1-3', 3), /does not select any pages/);
+});
+
+test('formats page lists compactly', () => {
+  assert.equal(formatPageList([1, 2, 3, 7, 10, 9]), '1-3,7,10-9');
+  assert.equal(formatPageList([4]), '4');
+  assert.equal(formatPageList([]), '');
+});
@@ -0,0 +1,93 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { UploadSession } from '../models/UploadSession.js';
+import { getChunkLength, writeChunk, verifyUpload } from '../services/uploadSessionService.js';
+
+const FILE = Buffer.from('%PDF-1.7 resumable');
+const CHUNK_SIZE = 8;
+const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+let dir;
+let session;
+
+// A session for FILE in chunks of 8 bytes, recording chunks in memory instead of the database
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+  const partialPath = path.join(dir, 'upload.part');
+  await fs.writeFile(partialPath, '');
+
+  session = new UploadSession({
+    uploadId: crypto.randomUUID(),
+    originalName: 'resumable.pdf',
+    mimetype: 'application/pdf',
+    size: FILE.length,
+    chunkSize: CHUNK_SIZE,
+    chunkCount: Math.ceil(FILE.length / CHUNK_SIZE),
+    path: partialPath,
+    expiresAt: new Date(Date.now() + 60 * 1000)
+  });
+
+  mock.method(session, 'recordChunk', async (index) => {
+    if (!session.receivedChunks.includes(index)) session.receivedChunks.push(index);
+    return true;
+  });
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+// Chunk `index` of FILE
+const chunk = (index) => FILE.subarray(index * CHUNK_SIZE, index * CHUNK_SIZE + getChunkLength(session, index));
+
+test('only the last chunk is shorter than the chunk size', () => {
+  assert.deepEqual([0, 1, 2].map(index => getChunkLength(session, index)), [8, 8, 2]);
+});
+
+test('accepts the checksum of chunks written out of order and sent twice', async () => {
+  for (const index of [2, 0, 1, 0]) {
+    assert.equal(await writeChunk(session, index, chunk(index)), true);
+  }
+
+  assert.deepEqual(session.getMissingChunks(), []);
+  assert.equal(await verifyUpload(session, sha256(FILE)), true);
+  assert.deepEqual(await fs.readFile(session.path), FILE);
+});
+
+test('compares checksums case-insensitively', async () => {
+  for (const index of [0, 1, 2]) {
+    await writeChunk(session, index, chunk(index));
+  }
+
+  assert.equal(await verifyUpload(session, sha256(FILE).toUpperCase()), true);
+});
+
+test('rejects a checksum that does not match the assembled file', async () => {
+  for (const index of [0, 1, 2]) {
+    await writeChunk(session, index, chunk(index));
+  }
+
+  assert.equal(await verifyUpload(session, sha256(Buffer.from('something else'))), false);
+});
+
+test('rejects a file with a chunk missing', async () => {
+  await writeChunk(session, 0, chunk(0));
+  await writeChunk(session, 2, chunk(2));
+
+  assert.deepEqual(session.getMissingChunks(), [1]);
+  assert.equal(await verifyUpload(session, sha256(FILE)), false);
+});
+
+test('cuts bytes written past the declared size before checking', async () => {
+  await writeChunk(session, 0, chunk(0));
+  await writeChunk(session, 1, chunk(1));
+  await writeChunk(session, 2, Buffer.concat([chunk(2), Buffer.from('extra')]));
+
+  assert.equal(await verifyUpload(session, sha256(FILE)), true);
+  assert.equal((await fs.stat(session.path)).size, FILE.length);
+});
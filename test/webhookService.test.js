@@ -0,0 +1,174 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import { PdfOperation } from '../models/PdfOperation.js';
+import { config } from '../config/config.js';
+import {
+  deliverDueWebhooks,
+  signWebhookPayload,
+  assertCallbackTarget,
+  WebhookTargetError
+} from '../services/webhookService.js';
+
+const SECRET = 'test-webhook-secret';
+
+// Receiver that answers every delivery with `receiver.status` and keeps what it got
+const receiver = { status: 200, requests: [] };
+let server;
+let callbackUrl;
+
+before(async () => {
+  config.webhookSecret = SECRET;
+  config.webhookMaxAttempts = 3;
+  config.webhookRetryDelay = 1000;
+  // The test receiver listens on loopback
+  config.webhookAllowedHosts = ['127.0.0.1'];
+
+  server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    receiver.requests.push({ headers: req.headers, body });
+    res.writeHead(receiver.status).end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  callbackUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(() => server.close());
+
+afterEach(() => {
+  mock.restoreAll();
+  receiver.status = 200;
+  receiver.requests = [];
+});
+
+// A finished operation with a pending delivery after `previousAttempts` failed ones
+const createOperation = (previousAttempts = 0, url = callbackUrl) => new PdfOperation({
+  operationId: crypto.randomUUID(),
+  operationType: 'split',
+  status: 'completed',
+  webhook: {
+    url,
+    status: 'pending',
+    deliveries: Array.from({ length: previousAttempts }, (_, i) => ({ attempt: i + 1, attemptedAt: new Date(), statusCode: 500 }))
+  }
+});
+
+// Let the worker claim `operations` in turn and record their deliveries without a database
+const claimInTurn = (...operations) => {
+  const recorded = [];
+  for (const operation of operations) {
+    mock.method(operation, 'recordWebhookDelivery', async (delivery, status, nextAttemptAt) => {
+      recorded.push({ delivery, status, nextAttemptAt });
+    });
+  }
+  mock.method(PdfOperation, 'claimWebhookDelivery', async () => operations.shift() ?? null);
+  return recorded;
+};
+
+test('signs "<timestamp>.<body>" with HMAC-SHA256 of the secret', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signWebhookPayload('{"a":1}', 1700000000), expected);
+});
+
+test('posts the operation status with a signature the receiver can check', async () => {
+  const operation = createOperation();
+  const recorded = claimInTurn(operation);
+
+  assert.equal(await deliverDueWebhooks(), 1);
+
+  const [{ headers, body }] = receiver.requests;
+  const expected = crypto.createHmac('sha256', SECRET)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-webhook-id'], operation.operationId);
+  assert.equal(headers['x-webhook-event'], 'operation.completed');
+  assert.equal(JSON.parse(body).data.operationId, operation.operationId);
+
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].status, 'delivered');
+  assert.equal(recorded[0].delivery.attempt, 1);
+  assert.equal(recorded[0].delivery.statusCode, 200);
+  assert.equal(recorded[0].nextAttemptAt, undefined);
+});
+
+test('retries failed deliveries with exponential backoff', async () => {
+  receiver.status = 500;
+  const first = createOperation(0);
+  const second = createOperation(1);
+  const recorded = claimInTurn(first, second);
+
+  const startedAt = Date.now();
+  assert.equal(await deliverDueWebhooks(), 2);
+
+  assert.deepEqual(recorded.map(entry => entry.status), ['pending', 'pending']);
+  assert.equal(recorded[0].delivery.error, 'Unexpected response status 500');
+  assert.deepEqual(recorded.map(entry => entry.delivery.attempt), [1, 2]);
+
+  // 1s after the first attempt, 2s after the second
+  const delays = recorded.map(entry => entry.nextAttemptAt.getTime() - startedAt);
+  assert.ok(delays[0] >= 1000 && delays[0] < 2000, `first retry after ${delays[0]}ms`);
+  assert.ok(delays[1] >= 2000 && delays[1] < 3000, `second retry after ${delays[1]}ms`);
+});
+
+test('gives up once the attempts run out', async () => {
+  receiver.status = 503;
+  const recorded = claimInTurn(createOperation(config.webhookMaxAttempts - 1));
+
+  await deliverDueWebhooks();
+
+  assert.equal(recorded[0].status, 'failed');
+  assert.equal(recorded[0].delivery.attempt, config.webhookMaxAttempts);
+  assert.equal(recorded[0].nextAttemptAt, undefined);
+});
+
+test('records connection errors as failed attempts', async () => {
+  // Nothing listens on the port of a closed server
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const recorded = claimInTurn(createOperation(0, `http://127.0.0.1:${port}/hooks`));
+  await deliverDueWebhooks();
+
+  assert.equal(recorded[0].status, 'pending');
+  assert.equal(recorded[0].delivery.statusCode, undefined);
+  assert.match(recorded[0].delivery.error, /ECONNREFUSED/);
+});
+
+test('rejects callback hosts on loopback, private, link-local and mapped addresses', async () => {
+  for (const url of [
+    'http://127.0.0.2/hooks',
+    'http://localhost:8080/hooks',
+    'http://10.1.2.3/hooks',
+    'http://192.168.0.10/hooks',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hooks',
+    'http://[::ffff:127.0.0.1]/hooks',
+    'http://[fd00::1]/hooks'
+  ]) {
+    await assert.rejects(assertCallbackTarget(url), WebhookTargetError, url);
+  }
+
+  await assertCallbackTarget('https://93.184.216.34/hooks');
+  await assertCallbackTarget('http://127.0.0.1:9000/hooks');
+});
+
+test('checks the callback host again before each delivery', async () => {
+  config.webhookAllowedHosts = [];
+
+  try {
+    const recorded = claimInTurn(createOperation());
+    await deliverDueWebhooks();
+
+    assert.equal(receiver.requests.length, 0);
+    assert.equal(recorded[0].status, 'pending');
+    assert.match(recorded[0].delivery.error, /may not be sent to 127\.0\.0\.1/);
+  } finally {
+    config.webhookAllowedHosts = ['127.0.0.1'];
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { text } from 'stream/consumers';
+import { createZipArchive, sanitizeEntryName, uniqueEntryNames } from '../services/zipService.js';
+
+// Collect an archive stream into one buffer
+const readArchive = async (archive) => {
+  const chunks = [];
+  for await (const chunk of archive.createStream()) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Read the entries listed in the central directory and their stored bytes
+const readEntries = (zip) => {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(offset), 0x02014b50);
+    const crc = zip.readUInt32LE(offset + 16);
+    const size = zip.readUInt32LE(offset + 24);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(zip.readUInt32LE(localOffset), 0x04034b50);
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26);
+
+    entries.push({ name, crc, size, data: zip.subarray(dataStart, dataStart + size) });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+test('streams exactly the announced number of bytes', async () => {
+  const archive = createZipArchive([
+    { name: 'a.pdf', buffer: Buffer.from('%PDF-1.7 first') },
+    { name: 'b.pdf', buffer: Buffer.alloc(0) }
+  ]);
+
+  const zip = await readArchive(archive);
+  assert.equal(zip.length, archive.size);
+});
+
+test('stores entries from memory and from disk with their CRC-32', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-test-'));
+  const filePath = path.join(dir, 'on-disk.pdf');
+  await fs.writeFile(filePath, '123456789');
+
+  try {
+    const archive = createZipArchive([
+      { name: 'in-memory.pdf', buffer: Buffer.from('hello') },
+      { name: 'on-disk.pdf', path: filePath, size: 9 },
+      { name: 'überblick.pdf', buffer: Buffer.from('utf8 name') }
+    ]);
+
+    const entries = readEntries(await readArchive(archive));
+
+    assert.deepEqual(entries.map(entry => entry.name), ['in-memory.pdf', 'on-disk.pdf', 'überblick.pdf']);
+    assert.equal(entries[0].data.toString(), 'hello');
+    assert.equal(entries[1].data.toString(), '123456789');
+    // Check value of the standard CRC-32
+    assert.equal(entries[1].crc, 0xcbf43926);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('fails the stream when a file changed size after the archive was planned', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-test-'));
+  const filePath = path.join(dir, 'grown.pdf');
+  await fs.writeFile(filePath, 'longer than announced');
+
+  try {
+    const archive = createZipArchive([{ name: 'grown.pdf', path: filePath, size: 4 }]);
+    await assert.rejects(text(archive.createStream()), /File changed while zipping: grown\.pdf/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('rejects entries without a known size', () => {
+  assert.throws(() => createZipArchive([{ name: 'x.pdf', path: '/nowhere' }]), /Unknown size for zip entry: x\.pdf/);
+});
+
+test('sanitizes entry names and keeps them unique', () => {
+  assert.equal(sanitizeEntryName('a/b:c?.pdf'), 'a_b_c_.pdf');
+  assert.equal(sanitizeEntryName('   '), 'file');
+  assert.deepEqual(
+    uniqueEntryNames(['part.pdf', 'Part.pdf', 'part.pdf', 'notes']),
+    ['part.pdf', 'Part (2).pdf', 'part (3).pdf', 'notes']
+  );
+});
@@ -0,0 +1,33 @@
+// Byte size helpers shared by configuration, validation and processing
+
+const UNITS = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(b|bytes?|kb|mb|gb|tb)?$/i;
+const MULTIPLIERS = { b: 0, byte: 0, bytes: 0, kb: 1, mb: 2, gb: 3, tb: 4 };
+
+// Parse a size like 10485760, "10MB" or "1.5 GB" into bytes (1 KB = 1024 bytes).
+// Returns NaN for values that are not a valid size.
+export const parseByteSize = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : NaN;
+  }
+
+  const match = String(value ?? '').trim().match(SIZE_PATTERN);
+  if (!match) {
+    return NaN;
+  }
+
+  const unit = (match[2] || 'b').toLowerCase();
+  return Math.floor(parseFloat(match[1]) * Math.pow(1024, MULTIPLIERS[unit]));
+};
+
+// Format bytes to human readable format
+export const formatBytes = (bytes, decimals = 2) => {
+  if (bytes === 0) return '0 Bytes';
+
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + UNITS[i];
+};
@@ -7,3 +7,5 @@ export const debugError = debugLib('app:error');
 export const debugDatabase = debugLib('app:database');
 export const debugPdfController = debugLib('app:pdfController');
 export const debugConfig = debugLib('app:Config');
+export const debugQueue = debugLib('app:queue');
+export const debugWebhook = debugLib('app:webhook');
@@ -3,6 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { config } from '../config/config.js';
+import { formatBytes } from './byteSize.js';
 import debugLib from 'debug';
 
 const debug = debugLib('app:cleanup');
@@ -58,19 +59,6 @@ export const cleanupFiles = async () => {
   }
 };
 
-// Format bytes to human readable format
-const formatBytes = (bytes, decimals = 2) => {
-  if (bytes === 0) return '0 Bytes';
-
-  const k = 1024;
-  const dm = decimals < 0 ? 0 : decimals;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
-
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
-};
-
 // Clean up specific operation files
 export const cleanupOperationFiles = async (operationId) => {
   const directories = [
@@ -99,6 +87,41 @@ export const cleanupOperationFiles = async (operationId) => {
   }
 };
 
+// Delete files by the paths recorded on an operation (inputFiles and outputFiles
+// entries). Upload names do not contain the operationId that cleanupOperationFiles
+// looks for. Paths outside the uploads and processed directories are skipped,
+// and so are stored documents (entries with a documentId), which other
+// operations may use. Returns the number of files removed.
+export const removeRecordedFiles = async (files) => {
+  const directories = [
+    path.join(__dirname, '..', 'uploads'),
+    path.join(__dirname, '..', 'processed')
+  ];
+  let removed = 0;
+
+  for (const file of files) {
+    if (!file?.path || file.documentId) continue;
+
+    const filePath = path.resolve(file.path);
+    if (!directories.some(directory => path.dirname(filePath) === directory)) {
+      debug(`Skipped file outside the upload directories: ${filePath}`);
+      continue;
+    }
+
+    try {
+      await fs.unlink(filePath);
+      removed++;
+      debug(`Removed operation file: ${path.basename(filePath)}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        debug(`Failed to remove file ${path.basename(filePath)}: ${error.message}`);
+      }
+    }
+  }
+
+  return removed;
+};
+
 // Get directory size and file count
 export const getDirectoryStats = async (directoryPath) => {
   try {
@@ -0,0 +1,190 @@
+// Page-selection language shared by validation and PDF processing.
+//
+// A selection is a comma separated list of tokens:
+//   7          single page
+//   1-3        range (10-1 selects the same pages in reverse order)
+//   5-end      open range up to the last page
+//   last       last page, last-2 is the third page from the end
+//   odd, even  every odd / even page of the document
+//   !5, !7-9   exclude pages from the rest of the selection
+//
+// Tokens keep their order and duplicates are allowed, so "5,1,2,2" is a valid
+// sequence. A selection made only of exclusions starts from all pages.
+
+const PAGE_TERM = '(\\d+|last(?:-\\d+)?|end)';
+const SINGLE_PAGE_PATTERN = new RegExp(`^${PAGE_TERM}$`);
+const PAGE_RANGE_PATTERN = new RegExp(`^${PAGE_TERM}-${PAGE_TERM}$`);
+
+// Error raised for selections that cannot be parsed or resolved
+export class PageSelectionError extends Error {
+  constructor(message, selection, token = null) {
+    super(message);
+    this.name = 'PageSelectionError';
+    this.selection = selection;
+    this.token = token;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+const parsePageTerm = (term, selection, token) => {
+  if (term === 'end' || term === 'last') {
+    return { fromEnd: 0 };
+  }
+
+  if (term.startsWith('last-')) {
+    return { fromEnd: parseInt(term.slice(5)) };
+  }
+
+  const page = parseInt(term);
+  if (page < 1) {
+    throw new PageSelectionError(
+      `Invalid page selection "${selection}": token "${token}" uses page 0, pages start at 1`,
+      selection,
+      token
+    );
+  }
+
+  return { page };
+};
+
+// Parse a selection string into tokens without knowing the page count.
+// Throws PageSelectionError naming the first token that is not valid.
+export function parsePageSelection(selection) {
+  const source = String(selection ?? '').trim();
+
+  if (source === '') {
+    throw new PageSelectionError('Page selection must not be empty', source);
+  }
+
+  return source.split(',').map((rawToken) => {
+    const token = rawToken.replace(/\s+/g, '').toLowerCase();
+    const exclude = token.startsWith('!');
+    const body = exclude ? token.slice(1) : token;
+
+    if (body === '') {
+      throw new PageSelectionError(
+        `Invalid page selection "${source}": empty token${exclude ? ' after "!"' : ''}`,
+        source,
+        rawToken.trim()
+      );
+    }
+
+    if (body === 'odd' || body === 'even') {
+      return { token: rawToken.trim(), exclude, type: body };
+    }
+
+    const single = body.match(SINGLE_PAGE_PATTERN);
+    if (single) {
+      const term = parsePageTerm(single[1], source, rawToken.trim());
+      return { token: rawToken.trim(), exclude, type: 'range', start: term, end: term };
+    }
+
+    const range = body.match(PAGE_RANGE_PATTERN);
+    if (range) {
+      return {
+        token: rawToken.trim(),
+        exclude,
+        type: 'range',
+        start: parsePageTerm(range[1], source, rawToken.trim()),
+        end: parsePageTerm(range[2], source, rawToken.trim())
+      };
+    }
+
+    throw new PageSelectionError(
+      `Invalid page selection "${source}": token "${rawToken.trim()}" is not a page, range (1-5, 5-end, 10-1), "last", "last-N", "odd" or "even"`,
+      source,
+      rawToken.trim()
+    );
+  });
+}
+
+const resolvePageTerm = (term, totalPages, selection, token) => {
+  const page = term.page ?? totalPages - term.fromEnd;
+
+  if (page < 1 || page > totalPages) {
+    const target = page < 1 ? 'a page before page 1' : `page ${page}`;
+    throw new PageSelectionError(
+      `Invalid page selection "${selection}": token "${token}" refers to ${target}, but the document has ${totalPages} page${totalPages === 1 ? '' : 's'}`,
+      selection,
+      token
+    );
+  }
+
+  return page;
+};
+
+const expandToken = (item, totalPages, selection) => {
+  if (item.type === 'odd' || item.type === 'even') {
+    const first = item.type === 'odd' ? 1 : 2;
+    const pages = [];
+    for (let page = first; page <= totalPages; page += 2) {
+      pages.push(page);
+    }
+    return pages;
+  }
+
+  const start = resolvePageTerm(item.start, totalPages, selection, item.token);
+  const end = resolvePageTerm(item.end, totalPages, selection, item.token);
+  const step = start <= end ? 1 : -1;
+
+  const pages = [];
+  for (let page = start; page !== end + step; page += step) {
+    pages.push(page);
+  }
+  return pages;
+};
+
+// Resolve a selection against a document into an ordered list of 1-based pages.
+export function resolvePageSelection(selection, totalPages) {
+  const source = String(selection ?? '').trim();
+  const items = parsePageSelection(source);
+
+  const included = [];
+  const excluded = new Set();
+  let hasInclusions = false;
+
+  for (const item of items) {
+    const pages = expandToken(item, totalPages, source);
+    if (item.exclude) {
+      pages.forEach(page => excluded.add(page));
+    } else {
+      hasInclusions = true;
+      included.push(...pages);
+    }
+  }
+
+  const basePages = hasInclusions
+    ? included
+    : Array.from({ length: totalPages }, (_, i) => i + 1);
+
+  const pages = basePages.filter(page => !excluded.has(page));
+
+  if (pages.length === 0) {
+    throw new PageSelectionError(`Page selection "${source}" does not select any pages`, source);
+  }
+
+  return pages;
+}
+
+// Format a list of 1-based pages compactly, e.g. [1, 2, 3, 7, 10, 9] -> "1-3,7,10-9"
+export function formatPageList(pages) {
+  const parts = [];
+  let i = 0;
+
+  while (i < pages.length) {
+    let j = i;
+    const step = pages[i + 1] - pages[i];
+
+    if (step === 1 || step === -1) {
+      while (j + 1 < pages.length && pages[j + 1] - pages[j] === step) {
+        j++;
+      }
+    }
+
+    parts.push(j > i ? `${pages[i]}-${pages[j]}` : `${pages[i]}`);
+    i = j + 1;
+  }
+
+  return parts.join(',');
+}
@@ -0,0 +1,23 @@
+// worker.js
+import mongoose from 'mongoose';
+import { connectDB } from './config/database.js';
+import { config } from './config/config.js';
+import { recoverStaleJobs, startJobWorker } from './services/jobQueueService.js';
+import { debugQueue } from './utils/debugLogger.js';
+
+// Standalone job worker: processes queued operations without serving HTTP.
+// Workers need the same uploads and processed directories as the API servers.
+
+await connectDB();
+await recoverStaleJobs();
+
+const worker = startJobWorker();
+debugQueue(`Job worker running (concurrency ${config.jobConcurrency})`);
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  debugQueue('SIGTERM received. Finishing running jobs...');
+  await worker.stop();
+  await mongoose.connection.close();
+  process.exit(0);
+});